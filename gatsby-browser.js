@@ -2,3 +2,9 @@
 import "typeface-montserrat"
 import "typeface-merriweather"
 import "./src/style/global.css"
+
+// Fetch the search index once the service worker is in control, so that
+// gatsby-plugin-offline has it cached before the reader goes offline.
+export const onServiceWorkerActive = () => {
+  fetch(`${__PATH_PREFIX__}/search-index.json`).catch(() => {})
+}
@@ -1,3 +1,55 @@
+const { defaultLanguage } = require(`./src/utils/languages.json`)
+
+// Shared by `.md` posts of gatsby-transformer-remark and `.mdx` posts of
+// gatsby-plugin-mdx.
+const remarkPlugins = [
+  {
+    resolve: `gatsby-remark-images`,
+    options: {
+      maxWidth: 590,
+      // Markdown image titles, `![alt](file.png "Title")`.
+      showCaptions: true,
+    },
+  },
+  {
+    resolve: `gatsby-remark-responsive-iframe`,
+    options: {
+      wrapperStyle: `margin-bottom: 1.0725rem`,
+    },
+  },
+  {
+    resolve: `gatsby-remark-autolink-headers`,
+    options: {
+      className: `anchor`,
+    },
+  },
+  `gatsby-remark-embeds`,
+  `gatsby-remark-callouts`,
+  `gatsby-remark-code-toolbar`,
+  `gatsby-remark-prismjs`,
+  `gatsby-remark-copy-linked-files`,
+  `gatsby-remark-smartypants`,
+]
+
+const feedFilter = `{
+  fields: { lang: { eq: "${defaultLanguage}" } }
+  released: { eq: true }
+}`
+const feedFields = `
+  excerpt
+  html
+  fields {
+    slug
+  }
+  frontmatter {
+    title
+    date
+  }
+  author {
+    name
+  }
+`
+
 module.exports = {
   siteMetadata: {
     title: `Jan Hesters`,
@@ -7,6 +59,10 @@ module.exports = {
     social: {
       twitter: `@janhesters`,
     },
+    // Id in `content/authors/authors.yaml` of posts without an `author`.
+    defaultAuthor: `jan`,
+    // Number of posts on each page of the index and the tag pages.
+    postsPerPage: 10,
   },
   plugins: [
     {
@@ -23,26 +79,27 @@ module.exports = {
         name: `assets`,
       },
     },
+    {
+      resolve: `gatsby-source-filesystem`,
+      options: {
+        path: `${__dirname}/content/authors`,
+        name: `authors`,
+      },
+    },
+    `gatsby-transformer-yaml`,
     {
       resolve: `gatsby-transformer-remark`,
       options: {
-        plugins: [
-          {
-            resolve: `gatsby-remark-images`,
-            options: {
-              maxWidth: 590,
-            },
-          },
-          {
-            resolve: `gatsby-remark-responsive-iframe`,
-            options: {
-              wrapperStyle: `margin-bottom: 1.0725rem`,
-            },
-          },
-          `gatsby-remark-prismjs`,
-          `gatsby-remark-copy-linked-files`,
-          `gatsby-remark-smartypants`,
-        ],
+        plugins: remarkPlugins,
+      },
+    },
+    {
+      resolve: `gatsby-plugin-mdx`,
+      options: {
+        extensions: [`.mdx`],
+        gatsbyRemarkPlugins: remarkPlugins,
+        // gatsby-remark-images only works in MDX as a plugin of its own.
+        plugins: [`gatsby-remark-images`],
       },
     },
     `gatsby-transformer-sharp`,
@@ -53,7 +110,75 @@ module.exports = {
         //trackingId: `ADD YOUR TRACKING ID HERE`,
       },
     },
-    `gatsby-plugin-feed`,
+    {
+      resolve: `gatsby-plugin-feed`,
+      options: {
+        query: `
+          {
+            site {
+              siteMetadata {
+                title
+                description
+                siteUrl
+                site_url: siteUrl
+              }
+            }
+          }
+        `,
+        feeds: [
+          {
+            serialize: ({ query: { site, allMarkdownRemark, allMdx } }) => {
+              return allMarkdownRemark.edges
+                .concat(allMdx.edges)
+                .sort(
+                  (a, b) =>
+                    new Date(b.node.frontmatter.date) -
+                    new Date(a.node.frontmatter.date)
+                )
+                .map(edge => {
+                  return Object.assign({}, edge.node.frontmatter, {
+                    description: edge.node.excerpt,
+                    date: edge.node.frontmatter.date,
+                    // Otherwise every item is by \`siteMetadata.author\`.
+                    author: edge.node.author.name,
+                    url: site.siteMetadata.siteUrl + edge.node.fields.slug,
+                    guid: site.siteMetadata.siteUrl + edge.node.fields.slug,
+                    custom_elements: [{ "content:encoded": edge.node.html }],
+                  })
+                })
+            },
+            // Same as the plugin's default query, minus unreleased posts
+            // and translations, plus `.mdx` posts.
+            query: `
+              {
+                allMarkdownRemark(
+                  limit: 1000
+                  filter: ${feedFilter}
+                ) {
+                  edges {
+                    node {
+                      ${feedFields}
+                    }
+                  }
+                }
+                allMdx(
+                  limit: 1000
+                  filter: ${feedFilter}
+                ) {
+                  edges {
+                    node {
+                      ${feedFields}
+                    }
+                  }
+                }
+              }
+            `,
+            output: `/rss.xml`,
+            title: `Jan Hesters' Blog RSS Feed`,
+          },
+        ],
+      },
+    },
     {
       resolve: `gatsby-plugin-manifest`,
       options: {
@@ -1,28 +1,129 @@
+const fs = require(`fs`);
 const path = require(`path`);
 const { createFilePath } = require(`gatsby-source-filesystem`);
+const yaml = require('js-yaml');
 const _ = require('lodash');
+const RSS = require('rss');
+const sharp = require('sharp');
 
-exports.createPages = ({ graphql, actions }) => {
-  const { createPage } = actions;
+const { siteMetadata } = require('./gatsby-config');
+const {
+  defaultLanguage,
+  languages,
+} = require('./src/utils/languages.json');
+const tagRegistry = require('./src/utils/tags.json');
+
+// Number of related posts shown below each post.
+const RELATED_POSTS_COUNT = 3;
+
+// Upper bound of posts that createPages and onPostBuild query. Both have
+// to see the same posts, or the link check, feeds and sitemap miss pages.
+const MAX_POSTS = 2000;
+
+// The node types of `.md` and `.mdx` posts.
+const POST_TYPES = ['MarkdownRemark', 'Mdx'];
+
+// The ids of `src/utils/tags.json` by the slugs of themselves and of
+// their aliases.
+const TAG_IDS = _.transform(
+  tagRegistry,
+  (ids, { aliases = [] }, id) => {
+    [id].concat(aliases).forEach(name => {
+      ids[_.kebabCase(name)] = id;
+    });
+  },
+  {}
+);
+
+// The ids that posts can pick with their `author` frontmatter.
+const AUTHOR_IDS = yaml
+  .safeLoad(
+    fs.readFileSync(
+      path.join(__dirname, 'content/authors/authors.yaml'),
+      'utf8'
+    )
+  )
+  .map(author => author.id);
+
+// Search results cut descriptions off after about 160 characters.
+const MAX_DESCRIPTION_LENGTH = 160;
+
+// Posts whose frontmatter failed `validateFrontmatter`, by file. Builds
+// only warn about them, unless they run with `FRONTMATTER=strict`.
+const invalidPosts = new Set();
+
+// The languages with posts. `createPages` fills it before
+// `onCreatePage` sees `src/pages/tags.js`.
+const postLanguages = new Set();
+
+exports.createPages = ({ graphql, actions, reporter }) => {
+  const { createPage, createRedirect } = actions;
+
+  if (invalidPosts.size > 0 && process.env.FRONTMATTER === 'strict') {
+    reporter.panicOnBuild(
+      `Found invalid frontmatter in ${invalidPosts.size} post(s): ` +
+        `${Array.from(invalidPosts).join(', ')}. See the warnings above.`
+    );
+  }
 
   const blogPost = path.resolve(`./src/templates/blog-post.js`);
+  const blogList = path.resolve(`./src/templates/blog-list.js`);
   const tagTemplate = path.resolve('src/templates/tags.js');
+  const seriesTemplate = path.resolve(`./src/templates/series.js`);
+  const archiveTemplate = path.resolve(`./src/templates/archive.js`);
+  const authorTemplate = path.resolve(`./src/templates/author.js`);
+  const postFields = `
+    searchText: excerpt(pruneLength: 50000)
+    fileAbsolutePath
+    fields {
+      slug
+      lang
+      translationKey
+      tags
+      author
+    }
+    headings {
+      value
+    }
+    timeToRead
+    author {
+      id
+      name
+      avatar {
+        absolutePath
+      }
+    }
+    frontmatter {
+      date(formatString: "MMMM DD, YYYY")
+      isoDate: date
+      title
+      description
+      series
+      seriesOrder
+      related
+      redirect_from
+    }
+  `;
   return graphql(
     `
       {
         allMarkdownRemark(
-          sort: { fields: [frontmatter___date], order: DESC }
-          limit: 2000
+          filter: { released: { eq: true } }
+          limit: ${MAX_POSTS}
+        ) {
+          edges {
+            node {
+              ${postFields}
+            }
+          }
+        }
+        allMdx(
+          filter: { released: { eq: true } }
+          limit: ${MAX_POSTS}
         ) {
           edges {
             node {
-              fields {
-                slug
-              }
-              frontmatter {
-                title
-                tags
-              }
+              ${postFields}
             }
           }
         }
@@ -33,55 +134,1223 @@ exports.createPages = ({ graphql, actions }) => {
       throw result.errors;
     }
 
-    // Create blog posts pages.
-    const posts = result.data.allMarkdownRemark.edges;
+    // An `author` that isn't in `content/authors/authors.yaml` links to
+    // no author. `gatsby develop` leaves these posts out.
+    const [posts, postsWithoutAuthor] = _.partition(
+      mergePosts(result.data),
+      ({ node }) => node.author
+    );
+    postsWithoutAuthor.forEach(({ node }) => {
+      reporter.panicOnBuild(
+        `Unknown author "${node.fields.author}" in ` +
+          `${path.relative(__dirname, node.fileAbsolutePath)}. Add it ` +
+          'to content/authors/authors.yaml or fix the `author` ' +
+          'frontmatter.'
+      );
+    });
+    const postsByLanguage = _.groupBy(
+      posts,
+      ({ node }) => node.fields.lang
+    );
+    const defaultPosts = postsByLanguage[defaultLanguage] || [];
+    postLanguages.clear();
+    Object.keys(postsByLanguage).forEach(lang =>
+      postLanguages.add(lang)
+    );
+
+    // Every language gets its own posts, series, index and tag pages.
+    // Neighbours, related posts and series stay within one language.
+    _.each(postsByLanguage, (postsOfLanguage, lang) => {
+      const prefix = getLanguagePrefix(lang);
+      const languageContext = {
+        lang,
+        dateFormat: languages[lang].dateFormat,
+      };
+      const series = getSeries(postsOfLanguage, prefix);
 
-    posts.forEach((post, index) => {
-      const previous =
-        index === posts.length - 1 ? null : posts[index + 1].node;
-      const next = index === 0 ? null : posts[index - 1].node;
+      // Create blog posts pages.
+      postsOfLanguage.forEach((post, index) => {
+        const socialImage = getSocialImagePath(post.node);
+        const previous =
+          index === postsOfLanguage.length - 1
+            ? null
+            : toLink(postsOfLanguage[index + 1].node);
+        const next =
+          index === 0 ? null : toLink(postsOfLanguage[index - 1].node);
+
+        createPage({
+          path: post.node.fields.slug,
+          component: blogPost,
+          context: {
+            ...languageContext,
+            slug: post.node.fields.slug,
+            socialImage,
+            previous,
+            next,
+            translations: getTranslations(post.node, posts),
+            relatedSlugs: getRelatedPosts(post.node, postsOfLanguage),
+            series: getSeriesContext(
+              series[post.node.frontmatter.series],
+              post.node
+            ),
+          },
+        });
+
+        (post.node.frontmatter.redirect_from || []).forEach(fromPath => {
+          createRedirect({
+            fromPath: normalizeSlug(fromPath),
+            toPath: post.node.fields.slug,
+            isPermanent: true,
+            redirectInBrowser: true,
+          });
+        });
+      });
 
+      _.each(series, ({ name, path: seriesPath, parts }) => {
+        createPage({
+          path: seriesPath,
+          component: seriesTemplate,
+          context: {
+            ...languageContext,
+            series: name,
+            slugs: parts.map(part => part.fields.slug),
+          },
+        });
+      });
+
+      createPaginatedPages({
+        createPage,
+        component: blogList,
+        basePath: `${prefix}/`,
+        posts: postsOfLanguage,
+        context: languageContext,
+      });
+
+      const tags = _.uniq(
+        _.flatMap(postsOfLanguage, ({ node }) => node.fields.tags)
+      );
+      tags.forEach(tag => {
+        createPaginatedPages({
+          createPage,
+          component: tagTemplate,
+          basePath: `${prefix}/tags/${tag}/`,
+          posts: postsOfLanguage.filter(({ node }) =>
+            node.fields.tags.includes(tag)
+          ),
+          context: {
+            ...languageContext,
+            tag,
+          },
+        });
+
+        getFormerTagSlugs(tag).forEach(slug => {
+          createRedirect({
+            fromPath: `${prefix}/tags/${slug}/`,
+            toPath: `${prefix}/tags/${tag}/`,
+            isPermanent: true,
+            redirectInBrowser: true,
+          });
+        });
+      });
+    });
+
+    const defaultLanguageContext = {
+      lang: defaultLanguage,
+      dateFormat: languages[defaultLanguage].dateFormat,
+    };
+
+    _.uniqBy(
+      posts.map(({ node }) => node.author),
+      'id'
+    ).forEach(author => {
       createPage({
-        path: post.node.fields.slug,
-        component: blogPost,
+        path: `/authors/${author.id}/`,
+        component: authorTemplate,
         context: {
-          slug: post.node.fields.slug,
-          previous,
-          next,
+          ...defaultLanguageContext,
+          id: author.id,
+          slugs: getSlugs(
+            defaultPosts.filter(
+              ({ node }) => node.author.id === author.id
+            )
+          ),
         },
       });
     });
 
-    let tags = [];
-    _.each(posts, edge => {
-      if (_.get(edge, 'node.frontmatter.tags')) {
-        tags = tags.concat(edge.node.frontmatter.tags);
-      }
+    createArchivePages({
+      createPage,
+      component: archiveTemplate,
+      posts: defaultPosts,
+      context: defaultLanguageContext,
     });
-    tags = _.uniq(tags);
-    tags.forEach(tag => {
+
+    // Translations aren't searchable, so that results aren't doubled.
+    writeSearchIndex(defaultPosts);
+
+    return writeSocialImages(posts);
+  });
+};
+
+// `.md` posts are `MarkdownRemark` nodes and `.mdx` posts `Mdx` nodes.
+// Both have the same fields, so they are merged into one list, newest
+// first.
+function mergePosts({ allMarkdownRemark, allMdx }) {
+  return _.orderBy(
+    allMarkdownRemark.edges.concat(allMdx.edges),
+    ({ node }) => new Date(node.frontmatter.isoDate),
+    'desc'
+  );
+}
+
+function getSlugs(posts) {
+  return posts.map(({ node }) => node.fields.slug);
+}
+
+// Merges a tag of the frontmatter into the canonical id of
+// `src/utils/tags.json` it's an alias of. Tags that aren't registered
+// become their own slug.
+function getTagId(tag) {
+  const slug = _.kebabCase(tag);
+  return TAG_IDS[slug] || slug;
+}
+
+// Mirrors `getTag` of `src/utils/helpers.js`.
+function getTagName(id) {
+  return tagRegistry[id] ? tagRegistry[id].name : id;
+}
+
+// The paths that tag pages had before aliases were merged, which slugged
+// every tag with `kebabCase`, e.g. `i18n` into `i-18-n`.
+function getFormerTagSlugs(id) {
+  const { aliases = [] } = tagRegistry[id] || {};
+  return _.without(_.uniq([id].concat(aliases).map(_.kebabCase)), id);
+}
+
+// Mirrors `getLanguagePrefix` of `src/utils/helpers.js`.
+function getLanguagePrefix(lang = defaultLanguage) {
+  return lang === defaultLanguage ? '' : `/${lang}`;
+}
+
+function getPagePath(basePath, page) {
+  return page === 1 ? basePath : `${basePath}page/${page}/`;
+}
+
+// Creates `basePath`, `basePath/page/2/`, … with `postsPerPage` posts
+// each. Each page lists its posts by the slugs in its context.
+function createPaginatedPages({
+  createPage,
+  component,
+  basePath,
+  posts,
+  context = {},
+}) {
+  const pages = _.chunk(posts, siteMetadata.postsPerPage);
+  const numPages = Math.max(1, pages.length);
+
+  _.times(numPages, index => {
+    const currentPage = index + 1;
+
+    createPage({
+      path: getPagePath(basePath, currentPage),
+      component,
+      context: {
+        ...context,
+        slugs: getSlugs(pages[index] || []),
+        totalCount: posts.length,
+        basePath,
+        currentPage,
+        numPages,
+      },
+    });
+  });
+}
+
+function getArchivePath(...periods) {
+  return `${['/archive', ...periods].join('/')}/`;
+}
+
+// Creates `/archive/`, `/archive/<year>/` and `/archive/<year>/<month>/`.
+// Each page lists its posts by the slugs in its context.
+function createArchivePages({ createPage, component, posts, context }) {
+  createPage({
+    path: getArchivePath(),
+    component,
+    context: {
+      ...context,
+      slugs: getSlugs(posts),
+    },
+  });
+
+  _.each(
+    _.groupBy(posts, ({ node }) => node.frontmatter.isoDate.slice(0, 4)),
+    (postsOfYear, year) => {
       createPage({
-        path: `/tags/${_.kebabCase(tag)}/`,
-        component: tagTemplate,
+        path: getArchivePath(year),
+        component,
         context: {
-          tag,
+          ...context,
+          slugs: getSlugs(postsOfYear),
+          year,
         },
       });
-    });
 
+      _.each(
+        _.groupBy(postsOfYear, ({ node }) =>
+          node.frontmatter.isoDate.slice(5, 7)
+        ),
+        (postsOfMonth, month) => {
+          createPage({
+            path: getArchivePath(year, month),
+            component,
+            context: {
+              ...context,
+              slugs: getSlugs(postsOfMonth),
+              year,
+              month,
+            },
+          });
+        }
+      );
+    }
+  );
+}
+
+// Groups the posts by their `series` frontmatter. Parts are ordered by
+// `seriesOrder` and then by date, oldest first.
+function getSeries(posts, prefix = '') {
+  const nodes = posts
+    .map(({ node }) => node)
+    .filter(node => node.frontmatter.series)
+    .reverse();
+
+  return _.mapValues(
+    _.groupBy(nodes, node => node.frontmatter.series),
+    (parts, name) => ({
+      name,
+      path: `${prefix}/series/${_.kebabCase(name)}/`,
+      parts: _.sortBy(parts, node =>
+        _.isNil(node.frontmatter.seriesOrder)
+          ? Infinity
+          : node.frontmatter.seriesOrder
+      ).map(toLink),
+    })
+  );
+}
+
+function getSeriesContext(series, node) {
+  if (!series) {
     return null;
+  }
+  const index = series.parts.findIndex(
+    part => part.fields.slug === node.fields.slug
+  );
+
+  return {
+    ...series,
+    previous: series.parts[index - 1] || null,
+    next: series.parts[index + 1] || null,
+  };
+}
+
+function normalizeSlug(slug) {
+  return `/${_.trim(slug, '/')}/`;
+}
+
+// Posts pinned with the `related` frontmatter come first. The rest are
+// ranked by the number of shared tags, with newer posts breaking ties.
+// Returns their slugs, which the post template lists like any listing.
+function getRelatedPosts(node, posts) {
+  const pinned = (node.frontmatter.related || []).map(normalizeSlug);
+  const tags = node.fields.tags;
+  const newest = _.max(
+    posts.map(edge => new Date(edge.node.frontmatter.isoDate).getTime())
+  );
+  const candidates = posts
+    .map(edge => edge.node)
+    .filter(
+      candidate =>
+        candidate.fields.slug !== node.fields.slug &&
+        !pinned.includes(candidate.fields.slug)
+    );
+
+  const ranked = candidates
+    .map(candidate => {
+      const sharedTags = _.intersection(tags, candidate.fields.tags)
+        .length;
+      const ageInYears =
+        (newest - new Date(candidate.frontmatter.isoDate).getTime()) /
+        (365 * 24 * 60 * 60 * 1000);
+      return {
+        candidate,
+        sharedTags,
+        score: sharedTags + 0.5 * Math.exp(-ageInYears),
+      };
+    })
+    .filter(({ sharedTags }) => sharedTags > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ candidate }) => candidate);
+
+  const pinnedPosts = pinned
+    .map(slug => posts.find(edge => edge.node.fields.slug === slug))
+    .filter(Boolean)
+    .map(edge => edge.node);
+
+  return pinnedPosts
+    .concat(ranked)
+    .slice(0, Math.max(RELATED_POSTS_COUNT, pinnedPosts.length))
+    .map(post => post.fields.slug);
+}
+
+// Links to every language version of a post, including itself.
+function getTranslations(node, posts) {
+  return _.sortBy(
+    posts
+      .map(post => post.node)
+      .filter(
+        other =>
+          other.fields.translationKey === node.fields.translationKey
+      )
+      .map(other => ({
+        lang: other.fields.lang,
+        slug: other.fields.slug,
+      })),
+    ({ lang }) => (lang === defaultLanguage ? '' : lang)
+  );
+}
+
+// Only what the templates need to render a link to a post, so that the
+// page context doesn't carry the search text of its neighbours.
+function toLink(node) {
+  return _.pick(node, ['fields.slug', 'frontmatter.title']);
+}
+
+function writePublicFile(filePath, content) {
+  const output = path.join(__dirname, 'public', filePath);
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, content);
+}
+
+// The index is a static file so that the search works without a
+// server. gatsby-plugin-offline caches it like any other JSON asset.
+function writeSearchIndex(posts) {
+  const index = posts.map(({ node }) => ({
+    slug: node.fields.slug,
+    lang: node.fields.lang,
+    title: node.frontmatter.title || node.fields.slug,
+    date: node.frontmatter.date,
+    timeToRead: node.timeToRead,
+    description: node.frontmatter.description || '',
+    tags: node.fields.tags.map(getTagName),
+    headings: node.headings.map(heading => heading.value),
+    body: node.searchText.replace(/\s+/g, ' '),
+  }));
+
+  writePublicFile('/search-index.json', JSON.stringify(index));
+}
+
+const SOCIAL_IMAGE_WIDTH = 1200;
+const SOCIAL_IMAGE_HEIGHT = 630;
+
+function getSocialImagePath(node) {
+  return `/og/${_.trim(node.fields.slug, '/')}.png`;
+}
+
+function escapeXml(string) {
+  return String(string).replace(
+    /[<>&'"]/g,
+    character =>
+      ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        "'": '&apos;',
+        '"': '&quot;',
+      }[character])
+  );
+}
+
+// SVG has no text wrapping, so break the title into lines by length.
+function wrapText(text, maxLineLength) {
+  return text.split(' ').reduce((lines, word) => {
+    const line = lines[lines.length - 1];
+    if (line && `${line} ${word}`.length <= maxLineLength) {
+      lines[lines.length - 1] = `${line} ${word}`;
+    } else {
+      lines.push(word);
+    }
+    return lines;
+  }, []);
+}
+
+function renderSocialImage(node, avatar) {
+  const title = node.frontmatter.title || node.fields.slug;
+  const allLines = wrapText(title, 28);
+  const lines = allLines.slice(0, 3);
+  if (allLines.length > lines.length) {
+    lines[lines.length - 1] += ' …';
+  }
+  const tags = node.fields.tags
+    .slice(0, 4)
+    .map(tag => `#${getTagName(tag)}`)
+    .join('  ');
+  const { lang } = node.fields;
+  const date = new Date(node.frontmatter.isoDate).toLocaleDateString(
+    lang,
+    {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC',
+    }
+  );
+  const details = `${date} • ${node.timeToRead} ${languages[lang].minRead}`;
+  // Authors without an avatar get their name where it would be.
+  const textX = avatar ? 205 : 80;
+
+  return `
+    <svg xmlns="http://www.w3.org/2000/svg"
+      xmlns:xlink="http://www.w3.org/1999/xlink"
+      width="${SOCIAL_IMAGE_WIDTH}" height="${SOCIAL_IMAGE_HEIGHT}">
+      <defs>
+        <clipPath id="avatar">
+          <circle cx="130" cy="520" r="50" />
+        </clipPath>
+      </defs>
+      <rect width="100%" height="100%" fill="#282c35" />
+      <rect width="100%" height="12" fill="#82AAFF" />
+      <g font-family="Montserrat, sans-serif" fill="#ffffff">
+        ${lines
+          .map(
+            (line, index) =>
+              `<text x="80" y="${150 + index * 80}" font-size="64"
+                font-weight="bold">${escapeXml(line)}</text>`
+          )
+          .join('')}
+        <text x="80" y="${190 + lines.length * 80}" font-size="30"
+          fill="#82AAFF">${escapeXml(tags)}</text>
+        ${
+          avatar
+            ? `<image x="80" y="470" width="100" height="100"
+                clip-path="url(#avatar)"
+                xlink:href="${avatar}" />`
+            : ''
+        }
+        <text x="${textX}" y="510" font-size="32" font-weight="bold">
+          ${escapeXml(node.author.name)}
+        </text>
+        <text x="${textX}" y="555" font-size="28" fill-opacity="0.8">
+          ${escapeXml(details)}
+        </text>
+      </g>
+    </svg>
+  `;
+}
+
+// Renders a branded card per post for `og:image` and `twitter:image`.
+// Posts can replace it with a `cover` image in their frontmatter.
+function writeSocialImages(posts) {
+  const readAvatar = _.memoize(avatarPath => {
+    const type =
+      path.extname(avatarPath).slice(1) === 'png' ? 'png' : 'jpeg';
+    const data = fs.readFileSync(avatarPath).toString('base64');
+    return `data:image/${type};base64,${data}`;
+  });
+
+  return Promise.all(
+    posts.map(({ node }) => {
+      const output = path.join(
+        __dirname,
+        'public',
+        getSocialImagePath(node)
+      );
+      fs.mkdirSync(path.dirname(output), { recursive: true });
+      const avatar =
+        node.author.avatar &&
+        readAvatar(node.author.avatar.absolutePath);
+      return sharp(Buffer.from(renderSocialImage(node, avatar)))
+        .png()
+        .toFile(output);
+    })
+  );
+}
+
+// Feed readers don't know the site, so links and images in the post
+// HTML need absolute URLs.
+function absolutifyHtml(html, siteUrl) {
+  return html
+    .replace(/(href|src)="\//g, `$1="${siteUrl}/`)
+    .replace(
+      /srcset="([^"]*)"/g,
+      (match, srcset) =>
+        `srcset="${srcset.replace(/(^|,\s*)\//g, `$1${siteUrl}/`)}"`
+    );
+}
+
+function toFeedItem(node, siteUrl) {
+  const url = `${siteUrl}${node.fields.slug}`;
+  return {
+    id: url,
+    url,
+    title: node.frontmatter.title,
+    summary: node.frontmatter.description || node.excerpt,
+    html: absolutifyHtml(node.html, siteUrl),
+    date: new Date(node.frontmatter.date),
+    updated: new Date(node.frontmatter.updated || node.frontmatter.date),
+    tags: node.fields.tags,
+    author: node.author.name,
+  };
+}
+
+function renderRss(feed, items) {
+  const rss = new RSS({
+    title: feed.title,
+    description: feed.description,
+    feed_url: feed.url,
+    site_url: feed.homePageUrl,
+    custom_namespaces: {
+      content: 'http://purl.org/rss/1.0/modules/content/',
+    },
+  });
+  items.forEach(item => {
+    rss.item({
+      title: item.title,
+      description: item.summary,
+      url: item.url,
+      guid: item.id,
+      date: item.date,
+      author: item.author,
+      categories: item.tags.map(getTagName),
+      custom_elements: [{ 'content:encoded': item.html }],
+    });
   });
+  return rss.xml();
+}
+
+function renderAtom(feed, items) {
+  const updated =
+    items.length > 0
+      ? _.max(items.map(item => item.updated))
+      : new Date();
+  const entries = items.map(
+    item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.url)}" />
+    <id>${escapeXml(item.id)}</id>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <author>
+      <name>${escapeXml(item.author)}</name>
+    </author>
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.html)}</content>
+${item.tags
+  .map(
+    tag =>
+      `    <category term="${escapeXml(tag)}" label="${escapeXml(
+        getTagName(tag)
+      )}" />`
+  )
+  .join('\n')}
+  </entry>`
+  );
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.url)}" rel="self" />
+  <link href="${escapeXml(feed.homePageUrl)}" />
+  <id>${escapeXml(feed.homePageUrl)}</id>
+  <updated>${updated.toISOString()}</updated>
+  <author>
+    <name>${escapeXml(feed.author)}</name>
+  </author>${entries.join('')}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed, items) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homePageUrl,
+    feed_url: feed.url,
+    language: 'en',
+    authors: [{ name: feed.author, url: feed.homePageUrl }],
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.html,
+      date_published: item.date.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: [{ name: item.author }],
+      tags: item.tags.map(getTagName),
+    })),
+  });
+}
+
+// gatsby-plugin-feed writes the main RSS feed. The Atom and JSON
+// versions of it and the RSS feed of every tag are written here.
+function writeFeeds(site, posts) {
+  const siteUrl = site.siteMetadata.siteUrl.replace(/\/$/, '');
+  const items = posts.map(({ node }) => toFeedItem(node, siteUrl));
+  const mainFeed = {
+    title: site.siteMetadata.title,
+    description: site.siteMetadata.description,
+    author: site.siteMetadata.author,
+    homePageUrl: `${siteUrl}/`,
+  };
+
+  writePublicFile(
+    '/atom.xml',
+    renderAtom({ ...mainFeed, url: `${siteUrl}/atom.xml` }, items)
+  );
+  writePublicFile(
+    '/feed.json',
+    renderJsonFeed({ ...mainFeed, url: `${siteUrl}/feed.json` }, items)
+  );
+
+  const tags = _.uniq(_.flatMap(items, item => item.tags));
+  tags.forEach(tag => {
+    const tagPath = `/tags/${tag}/`;
+    writePublicFile(
+      `${tagPath}rss.xml`,
+      renderRss(
+        {
+          ...mainFeed,
+          title: `${site.siteMetadata.title}: Posts tagged "${getTagName(
+            tag
+          )}"`,
+          homePageUrl: `${siteUrl}${tagPath}`,
+          url: `${siteUrl}${tagPath}rss.xml`,
+        },
+        items.filter(item => item.tags.includes(tag))
+      )
+    );
+  });
+}
+
+function formatLastmod(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Lists the posts of every language, their home and tag pages and
+// their `/tags/`. Each entry is as fresh as its newest `updated` or
+// `date`.
+function writeSitemap(site, posts) {
+  const siteUrl = site.siteMetadata.siteUrl.replace(/\/$/, '');
+  const pages = posts.map(({ node }) => ({
+    path: node.fields.slug,
+    prefix: getLanguagePrefix(node.fields.lang),
+    lastmod: node.frontmatter.updated || node.frontmatter.date,
+    tags: node.fields.tags,
+  }));
+  const newest = lastmods => _.maxBy(lastmods, date => new Date(date));
+  const listings = _.flatMap(pages, page =>
+    [`${page.prefix}/`, `${page.prefix}/tags/`].concat(
+      page.tags.map(tag => `${page.prefix}/tags/${tag}/`)
+    )
+  );
+  const urls = _.uniq(listings)
+    .map(listingPath => ({
+      path: listingPath,
+      lastmod: newest(
+        pages
+          .filter(
+            page =>
+              listingPath === `${page.prefix}/` ||
+              listingPath === `${page.prefix}/tags/` ||
+              page.tags.some(
+                tag => listingPath === `${page.prefix}/tags/${tag}/`
+              )
+          )
+          .map(page => page.lastmod)
+      ),
+    }))
+    .concat(pages);
+
+  writePublicFile(
+    '/sitemap.xml',
+    `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls
+  .map(
+    ({ path: urlPath, lastmod }) => `  <url>
+    <loc>${escapeXml(`${siteUrl}${urlPath}`)}</loc>${
+      lastmod ? `\n    <lastmod>${formatLastmod(lastmod)}</lastmod>` : ''
+    }
+  </url>`
+  )
+  .join('\n')}
+</urlset>
+`
+  );
+}
+
+// Netlify serves `public/_redirects`. The hand-written domain rules in
+// the root `_redirects` come first, then every `createRedirect`, e.g. of
+// the `redirect_from` frontmatter.
+function writeRedirects({ pages, redirects }, reporter) {
+  const redirectedPaths = redirects.map(({ fromPath }) => fromPath);
+  redirects.forEach(({ fromPath, toPath }) => {
+    if (pages.has(fromPath)) {
+      reporter.warn(
+        `The redirect from ${fromPath} to ${toPath} collides with a page ` +
+          'and is ignored by Netlify.'
+      );
+    }
+    if (redirectedPaths.includes(toPath)) {
+      reporter.warn(
+        `The redirect from ${fromPath} to ${toPath} is part of a chain. ` +
+          `Point it to the final target of ${toPath}.`
+      );
+    }
+  });
+
+  const domainRules = fs
+    .readFileSync(path.join(__dirname, '_redirects'), 'utf8')
+    .trim();
+  const rules = redirects.map(
+    ({ fromPath, toPath, isPermanent }) =>
+      `${fromPath} ${toPath} ${isPermanent ? 301 : 302}`
+  );
+
+  writePublicFile(
+    '/_redirects',
+    `${[domainRules].concat(rules).join('\n')}\n`
+  );
+}
+
+function getAttributeValues(html, attribute) {
+  const pattern = new RegExp(`\\s${attribute}="([^"]*)"`, 'g');
+  const values = [];
+  let match;
+  while ((match = pattern.exec(html))) {
+    values.push(match[1].replace(/&amp;/g, '&'));
+  }
+  return values;
+}
+
+// Matches `url.pathname` to a created page or redirect with or without
+// its trailing slash, or to a file in `public/`, e.g. an image or
+// `rss.xml`.
+function resolveInternalPath(pathname, pagePaths) {
+  const withSlash = pathname.replace(/\/?$/, '/');
+  if (pagePaths.has(withSlash)) {
+    return withSlash;
+  }
+  if (pagePaths.has(pathname)) {
+    return pathname;
+  }
+  const file = path.join(__dirname, 'public', pathname);
+  return fs.existsSync(file) && fs.statSync(file).isFile()
+    ? pathname
+    : null;
+}
+
+// Checks every link and image of the rendered posts that points to the
+// site itself, no matter if absolute, root-relative or relative, and
+// every `#anchor` against the ids of the built page.
+function findBrokenLinks(site, posts, pagePaths) {
+  const siteUrl = site.siteMetadata.siteUrl.replace(/\/$/, '');
+  const siteHost = new URL(siteUrl).hostname.replace(/^www\./, '');
+  const getIds = _.memoize(pagePath => {
+    const file = path.join(__dirname, 'public', pagePath, 'index.html');
+    return fs.existsSync(file)
+      ? new Set(getAttributeValues(fs.readFileSync(file, 'utf8'), 'id'))
+      : null;
+  });
+
+  return _.flatMap(posts, ({ node }) => {
+    const source = node.fields.slug;
+    const checkLink = link => {
+      // Links to files next to the post, which no remark plugin copied.
+      if (link && !/^([a-z][a-z\d+.-]*:|\/|#)/i.test(link)) {
+        const file = path.resolve(
+          path.dirname(node.fileAbsolutePath),
+          decodeURIComponent(link.replace(/[?#].*$/, ''))
+        );
+        if (fs.existsSync(file)) {
+          return null;
+        }
+      }
+
+      let url;
+      try {
+        url = new URL(link, `${siteUrl}${source}`);
+      } catch (error) {
+        return 'invalid URL';
+      }
+      if (
+        !/^https?:$/.test(url.protocol) ||
+        url.hostname.replace(/^www\./, '') !== siteHost
+      ) {
+        return null;
+      }
+
+      const pathname = decodeURIComponent(url.pathname);
+      const target = resolveInternalPath(pathname, pagePaths);
+      if (!target) {
+        return `no page or file at ${pathname}`;
+      }
+      const ids =
+        url.hash && pagePaths.has(target) ? getIds(target) : null;
+      if (ids && !ids.has(decodeURIComponent(url.hash.slice(1)))) {
+        return `no element with id "${url.hash.slice(1)}" on ${target}`;
+      }
+      return null;
+    };
+
+    return _.uniq(
+      getAttributeValues(node.html, 'href').concat(
+        getAttributeValues(node.html, 'src')
+      )
+    )
+      .map(link => ({ source, link, reason: checkLink(link) }))
+      .filter(({ reason }) => reason);
+  });
+}
+
+// `src/pages/tags.js` lists the tags of one language. Every language
+// with posts gets its own `/tags/` next to its tag pages.
+exports.onCreatePage = ({ page, actions }) => {
+  const { createPage, deletePage } = actions;
+
+  if (page.path !== '/tags/') {
+    return;
+  }
+
+  deletePage(page);
+  Object.keys(languages)
+    .filter(lang => lang === defaultLanguage || postLanguages.has(lang))
+    .forEach(lang => {
+      createPage({
+        ...page,
+        path: `${getLanguagePrefix(lang)}/tags/`,
+        context: {
+          ...page.context,
+          lang,
+        },
+      });
+    });
 };
 
-exports.onCreateNode = ({ node, actions, getNode }) => {
+exports.onPostBuild = ({ graphql, store, reporter }) => {
+  const feedFields = `
+    excerpt
+    html
+    fileAbsolutePath
+    fields {
+      slug
+      lang
+      tags
+    }
+    frontmatter {
+      title
+      date
+      isoDate: date
+      updated
+      description
+    }
+    author {
+      name
+    }
+  `;
+  return graphql(
+    `
+      {
+        site {
+          siteMetadata {
+            title
+            description
+            author
+            siteUrl
+          }
+        }
+        allMarkdownRemark(
+          filter: { released: { eq: true } }
+          limit: ${MAX_POSTS}
+        ) {
+          edges {
+            node {
+              ${feedFields}
+            }
+          }
+        }
+        allMdx(
+          filter: { released: { eq: true } }
+          limit: ${MAX_POSTS}
+        ) {
+          edges {
+            node {
+              ${feedFields}
+            }
+          }
+        }
+      }
+    `
+  ).then(result => {
+    if (result.errors) {
+      throw result.errors;
+    }
+
+    const posts = mergePosts(result.data);
+
+    // Translations have no feeds of their own yet.
+    writeFeeds(
+      result.data.site,
+      posts.filter(({ node }) => node.fields.lang === defaultLanguage)
+    );
+    writeSitemap(result.data.site, posts);
+
+    writeRedirects(store.getState(), reporter);
+
+    // Links to the source of a redirect, e.g. a former slug or a tag
+    // alias, still work.
+    const { pages, redirects } = store.getState();
+    const brokenLinks = findBrokenLinks(
+      result.data.site,
+      posts,
+      new Set([
+        ...pages.keys(),
+        ...redirects.map(({ fromPath }) => fromPath),
+      ])
+    );
+    brokenLinks.forEach(({ source, link, reason }) => {
+      reporter.warn(`Broken link in ${source}: ${link} (${reason})`);
+    });
+    if (brokenLinks.length > 0 && process.env.BROKEN_LINKS !== 'warn') {
+      reporter.panicOnBuild(
+        `Found ${brokenLinks.length} broken link(s) in posts. Fix them ` +
+          'or build with BROKEN_LINKS=warn to only report them.'
+      );
+    }
+  });
+};
+
+const DATE = /^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const KEBAB_CASE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const isString = value =>
+  typeof value === 'string' && value.trim() !== '';
+
+const isStringList = value =>
+  Array.isArray(value) && value.every(isString);
+
+const isBoolean = value => typeof value === 'boolean';
+
+// `2019-02-30` matches `DATE`, but isn't a day. Unquoted YAML dates are
+// parsed into `Date`s.
+function isDate(value) {
+  const match = DATE.exec(
+    value instanceof Date ? value.toISOString() : value
+  );
+  return (
+    Boolean(match) &&
+    !Number.isNaN(Date.parse(`${match[1]}T00:00:00Z`)) &&
+    new Date(`${match[1]}T00:00:00Z`).toISOString().startsWith(match[1])
+  );
+}
+
+const OPTIONAL_FIELDS = {
+  updated: { isValid: isDate, type: 'a YYYY-MM-DD date' },
+  series: { isValid: isString, type: 'a string' },
+  seriesOrder: { isValid: Number.isInteger, type: 'an integer' },
+  related: { isValid: isStringList, type: 'a list of slugs' },
+  redirect_from: { isValid: isStringList, type: 'a list of paths' },
+  toc: { isValid: isBoolean, type: 'true or false' },
+  draft: { isValid: isBoolean, type: 'true or false' },
+  cover: { isValid: isString, type: 'a relative path' },
+  author: {
+    isValid: value => AUTHOR_IDS.includes(value),
+    type: 'an id of content/authors/authors.yaml',
+  },
+};
+
+// Checks a post's frontmatter against the schema of
+// `createSchemaCustomization` and the conventions of the blog. Returns
+// the problems it found.
+function validateFrontmatter(frontmatter = {}) {
+  const errors = [];
+  const { title, date, description, tags } = frontmatter;
+
+  if (!isString(title)) {
+    errors.push('`title` is missing');
+  }
+  if (!isDate(date)) {
+    errors.push(
+      `\`date\` must be a YYYY-MM-DD date, got ${JSON.stringify(date)}`
+    );
+  }
+  if (!isString(description)) {
+    errors.push(
+      '`description` is missing, so listings fall back to the excerpt'
+    );
+  } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+    errors.push(
+      `\`description\` has ${description.length} characters, keep it ` +
+        `to ${MAX_DESCRIPTION_LENGTH}`
+    );
+  }
+  if (!isStringList(tags) || tags.length === 0) {
+    errors.push('`tags` must be a list with at least one tag');
+  } else {
+    tags
+      .filter(tag => !TAG_IDS[_.kebabCase(tag)] && !KEBAB_CASE.test(tag))
+      .forEach(tag => {
+        errors.push(
+          `tag "${tag}" is not in src/utils/tags.json and not lowercase ` +
+            `kebab-case, like "${_.kebabCase(tag)}"`
+        );
+      });
+  }
+
+  Object.keys(OPTIONAL_FIELDS)
+    .filter(
+      name =>
+        frontmatter[name] !== undefined &&
+        frontmatter[name] !== null &&
+        !OPTIONAL_FIELDS[name].isValid(frontmatter[name])
+    )
+    .forEach(name => {
+      errors.push(
+        `\`${name}\` must be ${OPTIONAL_FIELDS[name].type}, got ` +
+          JSON.stringify(frontmatter[name])
+      );
+    });
+
+  return errors;
+}
+
+// Drafts and posts dated in the future are only built by
+// `gatsby develop`. Both depend on when the build runs, so they are
+// resolved by every query instead of being stored on the node, which
+// Gatsby keeps in `.cache` between builds.
+function isDraft({ frontmatter = {} }) {
+  return (
+    frontmatter.draft === true ||
+    new Date(frontmatter.date).getTime() > Date.now()
+  );
+}
+
+// Every listing filters on `released`.
+function isReleased(node) {
+  return !isDraft(node) || process.env.NODE_ENV !== `production`;
+}
+
+// Declares the frontmatter of posts explicitly. Required fields are
+// nullable in the schema and checked by `validateFrontmatter` instead,
+// so that a build reports every broken post rather than failing on the
+// first query.
+exports.createSchemaCustomization = ({ actions, schema }) => {
+  actions.createTypes(
+    _.flatMap(POST_TYPES, type => [
+      schema.buildObjectType({
+        name: type,
+        interfaces: ['Node'],
+        fields: {
+          frontmatter: `${type}Frontmatter`,
+          author: {
+            type: 'AuthorYaml',
+            extensions: { link: { from: 'fields.author' } },
+          },
+          draft: { type: 'Boolean!', resolve: isDraft },
+          released: { type: 'Boolean!', resolve: isReleased },
+        },
+      }),
+      `
+        type ${type}Frontmatter {
+          title: String
+          date: Date @dateformat
+          description: String
+          tags: [String]
+          draft: Boolean
+          series: String
+          seriesOrder: Int
+          related: [String]
+          redirect_from: [String]
+          toc: Boolean
+          updated: Date @dateformat
+          cover: File @fileByRelativePath
+          author: String
+        }
+      `,
+    ]).concat(`
+      type AuthorYaml implements Node {
+        bio: String
+        avatar: File @fileByRelativePath
+        social: AuthorYamlSocial
+      }
+
+      # Authors only need an id and a name. The other fields are declared
+      # so that queries for them work when no author has them yet.
+      type AuthorYamlSocial {
+        twitter: String
+        instagram: String
+        email: String
+      }
+    `)
+  );
+};
+
+exports.onCreateNode = ({ node, actions, getNode, reporter }) => {
   const { createNodeField } = actions;
 
-  if (node.internal.type === `MarkdownRemark`) {
-    const value = createFilePath({ node, getNode });
+  if (POST_TYPES.includes(node.internal.type)) {
+    const file = path.relative(__dirname, node.fileAbsolutePath);
+    const errors = validateFrontmatter(node.frontmatter);
+    errors.forEach(error => {
+      reporter.warn(`Invalid frontmatter in ${file}: ${error}`);
+    });
+    if (errors.length > 0) {
+      invalidPosts.add(file);
+    } else {
+      invalidPosts.delete(file);
+    }
+
+    // Translations sit next to the original post, e.g. `index.de.md`
+    // next to `index.md`, and are served under `/de/<slug>/`.
+    const fileName = getNode(node.parent).name;
+    const lang = _.findKey(languages, (language, key) =>
+      fileName.endsWith(`.${key}`)
+    );
+    const filePath = createFilePath({ node, getNode });
+    const translationKey = lang
+      ? filePath
+          .replace(new RegExp(`(index)?\\.${lang}/$`), '')
+          .replace(/\/?$/, '/')
+      : filePath;
+    createNodeField({
+      name: `lang`,
+      node,
+      value: lang || defaultLanguage,
+    });
+    createNodeField({
+      name: `translationKey`,
+      node,
+      value: translationKey,
+    });
     createNodeField({
       name: `slug`,
       node,
-      value,
+      value: `${getLanguagePrefix(lang)}${translationKey}`,
+    });
+
+    createNodeField({
+      name: `tags`,
+      node,
+      value: _.uniq((node.frontmatter.tags || []).map(getTagId)),
+    });
+
+    createNodeField({
+      name: `author`,
+      node,
+      value: node.frontmatter.author || siteMetadata.defaultAuthor,
     });
   }
 };
@@ -0,0 +1,138 @@
+// Feather icons. The size is set inline, so that feed readers without
+// the site's CSS don't blow them up.
+const icon = paths =>
+  `<svg class="callout-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">${paths}</svg>`;
+
+const CALLOUTS = {
+  note: {
+    title: 'Note',
+    icon: icon(
+      '<circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/>'
+    ),
+  },
+  tip: {
+    title: 'Tip',
+    icon: icon(
+      '<path d="M9 18h6"/><path d="M10 22h4"/><path d="M12 2a7 7 0 0 0-4 12.7V17h8v-2.3A7 7 0 0 0 12 2z"/>'
+    ),
+  },
+  warning: {
+    title: 'Warning',
+    icon: icon(
+      '<path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/>'
+    ),
+  },
+};
+
+const OPENING = new RegExp(
+  `^:::(${Object.keys(CALLOUTS).join(
+    '|'
+  )})(?:[ \\t]+([^\\n]*))?(?:\\n|$)`
+);
+const CLOSING = /(?:^|\n):::\s*$/;
+
+function getText(node, position) {
+  const child =
+    node && node.type === 'paragraph' && node.children[position];
+  return child && child.type === 'text' ? child : null;
+}
+
+function getFirstText(node) {
+  return getText(node, 0);
+}
+
+function getLastText(node) {
+  return node && node.children
+    ? getText(node, node.children.length - 1)
+    : null;
+}
+
+// Drops paragraphs that only held the `:::` markers.
+function isEmpty(node) {
+  return (
+    node.type === 'paragraph' &&
+    node.children.every(
+      child => child.type === 'text' && !child.value.trim()
+    )
+  );
+}
+
+function createCallout(type, title, children) {
+  const callout = CALLOUTS[type];
+  return {
+    type: 'callout',
+    data: {
+      hName: 'div',
+      hProperties: {
+        className: ['callout', `callout-${type}`],
+        role: 'note',
+      },
+    },
+    children: [
+      {
+        type: 'paragraph',
+        data: { hProperties: { className: ['callout-title'] } },
+        children: [
+          { type: 'html', value: callout.icon },
+          {
+            type: 'strong',
+            children: [{ type: 'text', value: title || callout.title }],
+          },
+        ],
+      },
+    ].concat(children.filter(child => !isEmpty(child))),
+  };
+}
+
+// Turns
+//
+//   :::warning Optional title
+//   Markdown content
+//   :::
+//
+// into a callout. The content can span several paragraphs, lists or code
+// blocks, as long as the markers start and end a paragraph.
+function transform(parent) {
+  for (let index = 0; index < parent.children.length; index++) {
+    const first = getFirstText(parent.children[index]);
+    const opening = first && OPENING.exec(first.value);
+
+    if (opening) {
+      const original = first.value;
+      first.value = original.slice(opening[0].length);
+      const end = parent.children.findIndex(
+        (candidate, candidateIndex) => {
+          const last = getLastText(candidate);
+          return (
+            candidateIndex >= index && last && CLOSING.test(last.value)
+          );
+        }
+      );
+
+      if (end === -1) {
+        first.value = original;
+      } else {
+        const last = getLastText(parent.children[end]);
+        last.value = last.value.replace(CLOSING, '');
+        parent.children.splice(
+          index,
+          end - index + 1,
+          createCallout(
+            opening[1],
+            opening[2] && opening[2].trim(),
+            parent.children.slice(index, end + 1)
+          )
+        );
+      }
+    }
+
+    if (parent.children[index].children) {
+      transform(parent.children[index]);
+    }
+  }
+}
+
+module.exports = ({ markdownAST }) => {
+  transform(markdownAST);
+  return markdownAST;
+};
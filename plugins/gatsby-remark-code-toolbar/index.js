@@ -0,0 +1,65 @@
+const visit = require('unist-util-visit');
+
+function escapeHtml(string) {
+  return string
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Reads `title=handler.js` or `title="my handler.js"` from the fence meta.
+function getTitle(meta) {
+  const match = /(?:^|\s)title=(?:"([^"]*)"|(\S+))/.exec(meta || '');
+  return match ? match[1] || match[2] : null;
+}
+
+// remark-parse 5, which gatsby-transformer-remark uses for `.md` posts,
+// keeps the whole info string of a fence in `lang`. Newer versions, as in
+// `.mdx` posts, split it into `lang` and `meta`.
+function splitInfo(node) {
+  if (node.meta !== undefined && node.meta !== null) {
+    return;
+  }
+  const info = (node.lang || '').trim();
+  const match = /^(\S*)\s*([\s\S]*)$/.exec(info);
+  node.lang = match[1] || null;
+  node.meta = match[2] || null;
+}
+
+// Puts a toolbar with the language and the optional title above every
+// fenced code block. It runs before gatsby-remark-prismjs, which ignores
+// the fence meta. `blog-post.js` and `CodeToolbar` add the copy button.
+module.exports = ({ markdownAST }) => {
+  visit(markdownAST, 'code', (node, index, parent) => {
+    // gatsby-remark-prismjs reads the language from the clean `lang`.
+    splitInfo(node);
+    // gatsby-remark-prismjs reads highlighted lines from `js{1,3-4}`.
+    const language = (node.lang || '').split('{')[0];
+    const title = getTitle(node.meta);
+
+    parent.children.splice(index, 0, {
+      type: 'html',
+      value: `<div class="code-toolbar" data-language="${escapeHtml(
+        language
+      )}">${
+        title
+          ? `<span class="code-toolbar-title">${escapeHtml(
+              title
+            )}</span>`
+          : ''
+      }${
+        language
+          ? `<span class="code-toolbar-language">${escapeHtml(
+              language
+            )}</span>`
+          : ''
+      }</div>`,
+    });
+
+    // Skip the code block, which is now one further.
+    return index + 2;
+  });
+
+  return markdownAST;
+};
@@ -0,0 +1,49 @@
+const assert = require('assert');
+// remark 9 parses with remark-parse 5, like gatsby-transformer-remark.
+const remark = require('remark');
+
+const codeToolbar = require('.');
+
+function transform(markdown) {
+  const markdownAST = remark().parse(markdown);
+  codeToolbar({ markdownAST });
+  return markdownAST.children;
+}
+
+{
+  const [toolbar, code] = transform(
+    '```js title="my file.js"\nconst a = 1;\n```'
+  );
+  assert.strictEqual(
+    toolbar.value,
+    '<div class="code-toolbar" data-language="js">' +
+      '<span class="code-toolbar-title">my file.js</span>' +
+      '<span class="code-toolbar-language">js</span></div>'
+  );
+  assert.strictEqual(code.lang, 'js');
+  assert.strictEqual(code.meta, 'title="my file.js"');
+}
+
+{
+  const [toolbar, code] = transform(
+    '```js{1,3} title=a.js\n1\n2\n3\n```'
+  );
+  assert.strictEqual(
+    toolbar.value,
+    '<div class="code-toolbar" data-language="js">' +
+      '<span class="code-toolbar-title">a.js</span>' +
+      '<span class="code-toolbar-language">js</span></div>'
+  );
+  assert.strictEqual(code.lang, 'js{1,3}');
+}
+
+{
+  const [toolbar, code] = transform('```\nplain\n```');
+  assert.strictEqual(
+    toolbar.value,
+    '<div class="code-toolbar" data-language=""></div>'
+  );
+  assert.strictEqual(code.lang, null);
+}
+
+console.log('gatsby-remark-code-toolbar: all tests passed');
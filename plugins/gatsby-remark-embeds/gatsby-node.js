@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+const { IMAGE_DIRECTORY, IMAGE_PATH } = require('./images');
+
+// Downloads that didn't finish end in a random suffix instead.
+const IMAGE = /^[0-9a-f]{32}\.\w+$/;
+
+function getImages() {
+  if (!fs.existsSync(IMAGE_DIRECTORY)) {
+    return [];
+  }
+  return fs
+    .readdirSync(IMAGE_DIRECTORY)
+    .filter(file => IMAGE.test(file));
+}
+
+exports.onCreateDevServer = ({ app }) => {
+  app.get(`/${IMAGE_PATH}/:file`, (req, res, next) => {
+    if (!getImages().includes(req.params.file)) {
+      next();
+      return;
+    }
+    res.sendFile(path.join(IMAGE_DIRECTORY, req.params.file));
+  });
+};
+
+exports.onPostBuild = () => {
+  const directory = path.join(process.cwd(), 'public', IMAGE_PATH);
+  fs.mkdirSync(directory, { recursive: true });
+  getImages().forEach(file => {
+    fs.copyFileSync(
+      path.join(IMAGE_DIRECTORY, file),
+      path.join(directory, file)
+    );
+  });
+};
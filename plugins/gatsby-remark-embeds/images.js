@@ -0,0 +1,13 @@
+const path = require('path');
+
+// Preview images are downloaded next to the rest of Gatsby's cache, not
+// into `public`. Posts whose HTML comes from the cache don't download
+// them again, so `gatsby-node.js` copies them all to `public/embeds`.
+const IMAGE_DIRECTORY = path.join(
+  process.cwd(),
+  '.cache',
+  'gatsby-remark-embeds'
+);
+const IMAGE_PATH = 'embeds';
+
+module.exports = { IMAGE_DIRECTORY, IMAGE_PATH };
@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const visit = require('unist-util-visit');
+
+const { IMAGE_DIRECTORY, IMAGE_PATH } = require('./images');
+
+const TIMEOUT = 10000;
+
+const PROVIDERS = {
+  twitter: {
+    host: 'Twitter',
+    label: 'Load tweet',
+    title: 'Tweet',
+    pattern: /^https:\/\/(?:www\.|mobile\.)?twitter\.com\/\w+\/status\/(\d+)(?:[?#]\S*)?$/,
+    // widgets.js renders tweets itself, see `src/utils/embeds.js`.
+    getAttributes: id => ({ 'data-embed-id': id }),
+    getPreview: url =>
+      getJson(
+        `https://publish.twitter.com/oembed?url=${encodeURIComponent(
+          url
+        )}&omit_script=true&dnt=true`
+      ).then(({ author_name, html }) => ({
+        title: `Tweet by ${author_name}`,
+        // Without the `twitter-tweet` class, so that widgets.js doesn't
+        // pick it up before the reader asks for it.
+        html: html.replace(
+          /class="twitter-tweet"/,
+          'class="embed-tweet"'
+        ),
+      })),
+  },
+  youtube: {
+    host: 'YouTube',
+    label: 'Play video',
+    title: 'Video',
+    // `&t=` and other parameters may follow the id.
+    pattern: /^https:\/\/(?:(?:www\.|m\.)?youtube\.com\/watch\?(?:\S*&)?v=|youtu\.be\/)([\w-]{11})(?:[?&#]\S*)?$/,
+    getAttributes: id => ({
+      'data-embed-src': `https://www.youtube-nocookie.com/embed/${id}?autoplay=1`,
+    }),
+    getPreview: url =>
+      getJson(
+        `https://www.youtube.com/oembed?url=${encodeURIComponent(
+          url
+        )}&format=json`
+      ).then(({ title, thumbnail_url }) => ({
+        title,
+        image: thumbnail_url,
+      })),
+  },
+  codesandbox: {
+    host: 'CodeSandbox',
+    label: 'Load sandbox',
+    title: 'Sandbox',
+    pattern: /^https:\/\/codesandbox\.io\/s\/(?:[\w-]*-)?(\w+)\/?(?:$|\?)/,
+    getAttributes: id => ({
+      'data-embed-src': `https://codesandbox.io/embed/${id}`,
+    }),
+    getPreview: (url, id) =>
+      getJson(`https://codesandbox.io/api/v1/sandboxes/${id}`).then(
+        ({ data }) => ({
+          title: data.title,
+          description: data.description,
+          image: `https://codesandbox.io/api/v1/sandboxes/${id}/screenshot.png`,
+        })
+      ),
+  },
+  gist: {
+    host: 'GitHub',
+    label: 'Load gist',
+    title: 'Gist',
+    pattern: /^https:\/\/gist\.github\.com\/([\w-]+\/[0-9a-f]+)\/?$/,
+    // `.pibb` is the gist as a page of its own, without document.write.
+    getAttributes: id => ({
+      'data-embed-src': `https://gist.github.com/${id}.pibb`,
+    }),
+    getPreview: (url, id) =>
+      getJson(`https://api.github.com/gists/${id.split('/')[1]}`).then(
+        ({ description, files }) => ({
+          title: description,
+          description: Object.keys(files).join(', '),
+        })
+      ),
+  },
+};
+
+function escapeHtml(string) {
+  return string
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Resolves with the response of a successful request. It fails with an
+// `error` event when the body stalls, which callers have to handle.
+function get(url) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(
+      url,
+      // The GitHub API rejects requests without one.
+      { headers: { 'User-Agent': 'gatsby-remark-embeds' } },
+      response => {
+        clearTimeout(timeout);
+        if (response.statusCode !== 200) {
+          response.resume();
+          reject(new Error(`${url} responded ${response.statusCode}`));
+          return;
+        }
+        response.setTimeout(TIMEOUT, () => {
+          response.destroy(new Error(`${url} timed out`));
+        });
+        resolve(response);
+      }
+    );
+    const timeout = setTimeout(() => {
+      request.destroy(new Error(`${url} timed out`));
+    }, TIMEOUT);
+    request.on('error', error => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+  });
+}
+
+function getJson(url) {
+  return get(url).then(
+    response =>
+      new Promise((resolve, reject) => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('error', reject);
+        response.on('data', chunk => (body += chunk));
+        response.on('end', () => {
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      })
+  );
+}
+
+// Serves remote preview images from the site, so that opening a post
+// doesn't contact the provider. The image is written to a temporary file
+// first, so that a failed download never looks like a finished one.
+function download(url, file) {
+  if (fs.existsSync(file)) {
+    return Promise.resolve();
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${crypto.randomBytes(4).toString('hex')}`;
+  return get(url).then(
+    response =>
+      new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(temporary);
+        const fail = error => {
+          response.destroy();
+          output.destroy();
+          fs.unlink(temporary, () => reject(error));
+        };
+        response.on('error', fail);
+        output.on('error', fail);
+        output.on('finish', () => {
+          fs.rename(temporary, file, error =>
+            error ? fail(error) : resolve()
+          );
+        });
+        response.pipe(output);
+      })
+  );
+}
+
+// Matches a paragraph that only holds a URL, autolinked or not.
+function getUrl(node) {
+  if (node.type !== 'paragraph' || node.children.length !== 1) {
+    return null;
+  }
+  const [child] = node.children;
+  if (child.type === 'text') {
+    return child.value.trim();
+  }
+  if (
+    child.type === 'link' &&
+    child.children.length === 1 &&
+    child.children[0].type === 'text' &&
+    child.children[0].value === child.url
+  ) {
+    return child.url;
+  }
+  return null;
+}
+
+function findEmbed(url) {
+  for (const name of Object.keys(PROVIDERS)) {
+    const match = PROVIDERS[name].pattern.exec(url);
+    if (match) {
+      return { name, id: match[1], provider: PROVIDERS[name] };
+    }
+  }
+  return null;
+}
+
+async function getPreview(url, { provider, id }, options, helpers) {
+  const configured = options.previews[url] || {};
+  if (options.fetchPreviews === false) {
+    return configured;
+  }
+
+  const key = `gatsby-remark-embeds-${url}`;
+  let fetched = await helpers.cache.get(key);
+  if (!fetched) {
+    try {
+      fetched = await provider.getPreview(url, id);
+      await helpers.cache.set(key, fetched);
+    } catch (error) {
+      helpers.reporter.warn(
+        `Could not fetch the preview of ${url}: ${error.message}`
+      );
+      fetched = {};
+    }
+  }
+
+  const preview = { ...fetched, ...configured };
+  if (preview.image && !configured.image) {
+    const hash = crypto
+      .createHash('md5')
+      .update(preview.image)
+      .digest('hex');
+    const extension =
+      path.extname(new URL(preview.image).pathname) || '.jpg';
+    const file = `${hash}${extension}`;
+    try {
+      // `gatsby-node.js` copies the image to `public`.
+      await download(preview.image, path.join(IMAGE_DIRECTORY, file));
+      const prefix = helpers.pathPrefix || '';
+      preview.image = `${prefix}/${IMAGE_PATH}/${file}`;
+    } catch (error) {
+      helpers.reporter.warn(
+        `Could not download the preview image of ${url}: ${error.message}`
+      );
+      delete preview.image;
+    }
+  }
+  return preview;
+}
+
+function renderPreview(url, title, preview) {
+  if (preview.html) {
+    return preview.html;
+  }
+  return `${
+    preview.image
+      ? `<a class="embed-image" href="${escapeHtml(
+          url
+        )}"><img src="${escapeHtml(preview.image)}" alt="${escapeHtml(
+          title
+        )}" loading="lazy"></a>`
+      : ''
+  }${
+    preview.description
+      ? `<p class="embed-description">${escapeHtml(
+          preview.description
+        )}</p>`
+      : ''
+  }`;
+}
+
+// Renders the placeholder of an embed. Feed readers and browsers without
+// JavaScript only get the preview and a link. `src/utils/embeds.js` in
+// `.md` posts and `src/components/Embed.js` in `.mdx` posts add the
+// button that loads the real embed.
+function renderEmbed(url, { name, id, provider }, preview) {
+  const title = preview.title || provider.title;
+  const attributes = {
+    'data-embed-provider': name,
+    'data-embed-host': provider.host,
+    'data-embed-label': provider.label,
+    'data-embed-title': title,
+    ...provider.getAttributes(id),
+  };
+
+  return `<figure class="embed embed-${name}" ${Object.keys(attributes)
+    .map(
+      attribute => `${attribute}="${escapeHtml(attributes[attribute])}"`
+    )
+    .join(' ')}><div class="embed-preview">${renderPreview(
+    url,
+    title,
+    preview
+  )}</div><figcaption class="embed-caption"><a href="${escapeHtml(
+    url
+  )}">${escapeHtml(title)}</a> on ${
+    provider.host
+  }</figcaption></figure>`;
+}
+
+// Turns tweet, YouTube, CodeSandbox and GitHub Gist URLs that stand on a
+// line of their own into click-to-load embeds.
+//
+// Previews are fetched at build time and cached. `previews` in the
+// options sets or overrides them per URL, e.g. for sandboxes without a
+// title:
+//
+//   previews: {
+//     'https://codesandbox.io/s/abc123': {
+//       title: 'Toggle',
+//       description: 'A toggle with updater functions',
+//       image: '/embeds/toggle.png',
+//     },
+//   }
+//
+// `fetchPreviews: false` skips the requests and only uses those.
+module.exports = async (
+  { markdownAST, cache, reporter, pathPrefix },
+  { previews = {}, fetchPreviews = true } = {}
+) => {
+  const embeds = [];
+  visit(markdownAST, 'paragraph', (node, index, parent) => {
+    const url = getUrl(node);
+    const embed = url && findEmbed(url);
+    if (embed) {
+      embeds.push({ url, embed, node });
+    }
+  });
+
+  await Promise.all(
+    embeds.map(async ({ url, embed, node }) => {
+      const preview = await getPreview(
+        url,
+        embed,
+        { previews, fetchPreviews },
+        { cache, reporter, pathPrefix }
+      );
+      node.type = 'html';
+      node.value = renderEmbed(url, embed, preview);
+      delete node.children;
+    })
+  );
+
+  return markdownAST;
+};
@@ -1,74 +1,62 @@
 import React from "react"
-import { StaticQuery, graphql } from "gatsby"
+import { Link } from "gatsby"
 import Image from "gatsby-image"
 
 import { rhythm } from "../utils/typography"
+import { useAuthor } from "../utils/authors"
+import { getLanguagePrefix } from "../utils/helpers"
+
+function Bio({ authorId, lang }) {
+  const author = useAuthor(authorId)
+  const { social } = author
 
-function Bio() {
   return (
-    <StaticQuery
-      query={bioQuery}
-      render={data => {
-        const { author, social } = data.site.siteMetadata
-        return (
-          <div style={{
-            marginBottom: rhythm(2),
-          }}>
-            <div
-              style={{
-                display: `flex`,
-              }}
-            >
-              <Image
-                fixed={data.avatar.childImageSharp.fixed}
-                alt={author}
-                style={{
-                  marginRight: rhythm(1 / 2),
-                  marginBottom: 0,
-                  width: rhythm(2),
-                  height: rhythm(2),
-                  borderRadius: `100%`,
-                }}
-                imgStyle={{
-                  borderRadius: `50%`,
-                }}
-              />
-              <p>
-                Personal blog by{" "}
-                <a href={`https://twitter.com/${social.twitter}`}>
-                  Jan Hesters
-                </a>
-                .
-                <br />
-                Ask better questions.
-              </p>
-            </div>
-            <p>Want to contact me? <a href="mailto:jan.hesters@coderemail.com?subject=JavaScript&body=Hi Jan,">Send me an email</a>.</p>
-          </div>
-        )
-      }}
-    />
+    <div style={{
+      marginBottom: rhythm(2),
+    }}>
+      <div
+        style={{
+          display: `flex`,
+        }}
+      >
+        {author.avatar && (
+          <Image
+            fixed={author.avatar.childImageSharp.fixed}
+            alt={author.name}
+            style={{
+              marginRight: rhythm(1 / 2),
+              marginBottom: 0,
+              width: rhythm(2),
+              height: rhythm(2),
+              borderRadius: `100%`,
+            }}
+            imgStyle={{
+              borderRadius: `50%`,
+            }}
+          />
+        )}
+        <p>
+          {author.isDefault ? "Personal blog by" : "Written by"}{" "}
+          {social.twitter ? (
+            <a href={`https://twitter.com/${social.twitter}`}>
+              {author.name}
+            </a>
+          ) : getLanguagePrefix(lang) ? (
+            // Author pages only exist for the default language.
+            author.name
+          ) : (
+            <Link to={author.path}>{author.name}</Link>
+          )}
+          .
+          <br />
+          {author.bio}
+        </p>
+      </div>
+      {social.email && (
+        <p>Want to contact {author.isDefault ? "me" : author.name}? <a href={`mailto:${social.email}?subject=JavaScript&body=Hi ${author.name.split(" ")[0]},`}>Send {author.isDefault ? "me" : "them"} an email</a>.</p>
+      )}
+    </div>
   )
 }
 
-const bioQuery = graphql`
-  query BioQuery {
-    avatar: file(absolutePath: { regex: "/jan.jpg/" }) {
-      childImageSharp {
-        fixed(width: 50, height: 50) {
-          ...GatsbyImageSharpFixed
-        }
-      }
-    }
-    site {
-      siteMetadata {
-        author
-        social {
-          twitter
-        }
-      }
-    }
-  }
-`
-
 export default Bio
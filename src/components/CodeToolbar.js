@@ -0,0 +1,76 @@
+import React from 'react';
+
+import { getCopyText } from '../utils/codeBlocks';
+
+// The toolbar of gatsby-remark-code-toolbar in `.mdx` posts, with the
+// copy button that `addCopyButtons` adds to `.md` posts. The code block
+// is the next sibling of the toolbar.
+class CodeToolbar extends React.Component {
+  state = {
+    canCopy: false,
+    label: 'Copy',
+  };
+
+  toolbar = React.createRef();
+
+  componentDidMount() {
+    // Only after hydration, the server doesn't know the clipboard.
+    this.setState({ canCopy: !!navigator.clipboard });
+  }
+
+  componentWillUnmount() {
+    clearTimeout(this.timeout);
+  }
+
+  handleCopy = () => {
+    const block = this.toolbar.current.nextElementSibling;
+    const code = block && block.querySelector('code');
+    if (!code) {
+      return;
+    }
+    navigator.clipboard
+      .writeText(
+        getCopyText(code.textContent, this.props['data-language'])
+      )
+      .then(
+        () => this.setLabel('Copied'),
+        () => this.setLabel('Failed')
+      );
+  };
+
+  setLabel(label) {
+    // The post may be gone by the time the clipboard answers.
+    if (!this.toolbar.current) {
+      return;
+    }
+    this.setState({ label });
+    clearTimeout(this.timeout);
+    this.timeout = setTimeout(
+      () => this.setState({ label: 'Copy' }),
+      2000
+    );
+  }
+
+  render() {
+    const { children, ...props } = this.props;
+    const { canCopy, label } = this.state;
+
+    return (
+      <div {...props} ref={this.toolbar}>
+        {children}
+        {canCopy && (
+          <button
+            type="button"
+            className="code-toolbar-copy"
+            aria-label={`${label} code to clipboard`}
+            onClick={this.handleCopy}
+          >
+            {label}
+          </button>
+        )}
+      </div>
+    );
+  }
+}
+
+export default CodeToolbar;
@@ -0,0 +1,130 @@
+import React from 'react';
+
+import { FRAME_ALLOW, loadTweet } from '../utils/embeds';
+
+// The placeholder of gatsby-remark-embeds in `.mdx` posts, with the
+// button that `addEmbedButtons` adds to `.md` posts. Nothing is
+// requested from the provider before the reader clicks it.
+class Embed extends React.Component {
+  state = {
+    status: 'idle',
+  };
+
+  frame = React.createRef();
+
+  componentDidUpdate(prevProps, prevState) {
+    if (prevState.status === this.state.status) {
+      return;
+    }
+    if (this.state.status === 'loading') {
+      this.loadTweet();
+    } else if (this.state.status === 'loaded' && this.frame.current) {
+      const element = this.frame.current.firstElementChild;
+      if (element) {
+        element.focus();
+      }
+    }
+  }
+
+  loadTweet() {
+    const frame = this.frame.current;
+    loadTweet(this.props['data-embed-id'], frame).then(
+      () => {
+        if (this.frame.current === frame) {
+          this.setState({ status: 'loaded' });
+        }
+      },
+      () => {
+        if (this.frame.current === frame) {
+          this.setState({ status: 'failed' });
+        }
+      }
+    );
+  }
+
+  handleClick = event => {
+    // The preview image links to the provider for feed readers.
+    if (
+      !event.target.closest('.embed-load') &&
+      !event.target.closest('.embed-image')
+    ) {
+      return;
+    }
+    event.preventDefault();
+    const { status } = this.state;
+    if (status === 'loading' || status === 'loaded') {
+      return;
+    }
+    this.setState({
+      // Tweets are rendered by widgets.js, which can fail to load.
+      status:
+        this.props['data-embed-provider'] === 'twitter'
+          ? 'loading'
+          : 'loaded',
+    });
+  };
+
+  renderFrame() {
+    const { status } = this.state;
+    if (status !== 'loading' && status !== 'loaded') {
+      return null;
+    }
+    return (
+      <div className="embed-frame" ref={this.frame}>
+        {this.props['data-embed-provider'] !== 'twitter' && (
+          <iframe
+            src={this.props['data-embed-src']}
+            title={this.props['data-embed-title']}
+            allow={FRAME_ALLOW}
+            allowFullScreen
+          />
+        )}
+      </div>
+    );
+  }
+
+  renderButton() {
+    const { status } = this.state;
+    return (
+      <button
+        type="button"
+        className="embed-load"
+        title={`Loads content from ${this.props['data-embed-host']}`}
+        disabled={status === 'loading'}
+      >
+        {status === 'failed'
+          ? 'Failed, try again'
+          : this.props['data-embed-label']}
+      </button>
+    );
+  }
+
+  render() {
+    const { children, ...props } = this.props;
+    const loaded = this.state.status === 'loaded';
+
+    return (
+      <figure {...props} onClick={this.handleClick}>
+        {this.renderFrame()}
+        {React.Children.map(children, child => {
+          const className =
+            child && child.props && child.props.className;
+          if (className === 'embed-preview') {
+            return loaded ? null : child;
+          }
+          if (className === 'embed-caption') {
+            return React.cloneElement(
+              child,
+              {},
+              child.props.children,
+              loaded ? null : this.renderButton()
+            );
+          }
+          return child;
+        })}
+      </figure>
+    );
+  }
+}
+
+export default Embed;
@@ -1,34 +1,45 @@
 import React from 'react';
 
 import { rhythm } from '../utils/typography';
+import { useAuthor } from '../utils/authors';
 
-class Footer extends React.Component {
-  render() {
-    return (
-      <footer
-        style={{
-          marginTop: rhythm(2.5),
-          paddingTop: rhythm(1),
-        }}
-      >
-        <a
-          href="https://mobile.twitter.com/janhesters"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          twitter
-        </a>{' '}
-        &bull;{' '}
-        <a
-          href="https://www.instagram.com/janhesters/"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          instagram
-        </a>{' '}
-      </footer>
-    );
-  }
+const socialLinks = [
+  {
+    name: 'twitter',
+    getUrl: handle => `https://mobile.twitter.com/${handle}`,
+  },
+  {
+    name: 'instagram',
+    getUrl: handle => `https://www.instagram.com/${handle}/`,
+  },
+];
+
+function Footer({ authorId }) {
+  const { social } = useAuthor(authorId);
+
+  return (
+    <footer
+      style={{
+        marginTop: rhythm(2.5),
+        paddingTop: rhythm(1),
+      }}
+    >
+      {socialLinks
+        .filter(({ name }) => social[name])
+        .map(({ name, getUrl }, index) => (
+          <React.Fragment key={name}>
+            {index > 0 && <>&bull; </>}
+            <a
+              href={getUrl(social[name])}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              {name}
+            </a>{' '}
+          </React.Fragment>
+        ))}
+    </footer>
+  );
 }
 
 export default Footer;
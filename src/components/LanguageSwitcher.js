@@ -0,0 +1,46 @@
+import React from 'react';
+import { Link } from 'gatsby';
+
+import { languages } from '../utils/languages.json';
+import { rhythm, scale } from '../utils/typography';
+
+// Links to the other languages of a post. Every name is written in its
+// own language, so that readers find theirs.
+function LanguageSwitcher({ translations, lang }) {
+  if (!translations || translations.length < 2) {
+    return null;
+  }
+
+  return (
+    <nav
+      aria-label="Languages"
+      style={{
+        ...scale(-1 / 5),
+        marginBottom: rhythm(1),
+        fontFamily: `Montserrat, sans-serif`,
+      }}
+    >
+      {translations.map((translation, index) => (
+        <React.Fragment key={translation.lang}>
+          {index > 0 && ' • '}
+          {translation.lang === lang ? (
+            <strong aria-current="page">
+              {languages[translation.lang].name}
+            </strong>
+          ) : (
+            <Link
+              to={translation.slug}
+              hrefLang={translation.lang}
+              lang={translation.lang}
+              rel="alternate"
+            >
+              {languages[translation.lang].name}
+            </Link>
+          )}
+        </React.Fragment>
+      ))}
+    </nav>
+  );
+}
+
+export default LanguageSwitcher;
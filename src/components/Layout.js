@@ -3,21 +3,56 @@ import { Link } from "gatsby"
 import Helmet from "react-helmet"
 
 import { rhythm, scale } from "../utils/typography"
+import { getLanguagePrefix } from "../utils/helpers"
 import { primaryColor } from "../style"
-import Toggle from "./Toggle"
-import sun from "../../content/assets/sun.png"
-import moon from "../../content/assets/moon.png"
+import { themeColors, themes } from "../style/themes"
+import SearchForm from "./SearchForm"
 
 class Layout extends React.Component {
   state = {
     theme: null,
+    themePreference: null,
   }
   componentDidMount() {
-    this.setState({ theme: window.__theme })
+    this.setState({
+      theme: window.__theme,
+      themePreference: window.__themePreference,
+    })
     window.__onThemeChange = () => {
-      this.setState({ theme: window.__theme })
+      this.setState({
+        theme: window.__theme,
+        themePreference: window.__themePreference,
+      })
     }
   }
+  renderThemeControls() {
+    const { themePreference } = this.state
+
+    return (
+      <select
+        aria-label="Theme"
+        value={themePreference}
+        onChange={e => window.__setPreferredTheme(e.target.value)}
+        style={{
+          border: "1px solid var(--hr)",
+          borderRadius: "12px",
+          background: "var(--bg)",
+          color: "var(--textNormal)",
+          fontFamily: "Montserrat, sans-serif",
+          fontSize: "12px",
+          height: "24px",
+          cursor: "pointer",
+        }}
+      >
+        <option value="system">System</option>
+        {Object.keys(themes).map(id => (
+          <option key={id} value={id}>
+            {themes[id].name}
+          </option>
+        ))}
+      </select>
+    )
+  }
   renderHeader() {
     const { location, title } = this.props
     const rootPath = `${__PATH_PREFIX__}/`
@@ -68,6 +103,28 @@ class Layout extends React.Component {
       )
     }
   }
+  renderSearch() {
+    const { lang, location } = this.props
+
+    // The search page renders its own, bigger search field. It only
+    // finds posts in the default language, so translations don't link it.
+    if (
+      getLanguagePrefix(lang) ||
+      location.pathname.startsWith(`${__PATH_PREFIX__}/search`)
+    ) {
+      return null
+    }
+    return (
+      <SearchForm
+        style={{
+          flex: "1 1 8rem",
+          maxWidth: rhythm(7),
+          marginLeft: "auto",
+          marginRight: rhythm(1 / 2),
+        }}
+      />
+    )
+  }
   render() {
     const { children } = this.props
 
@@ -84,8 +141,7 @@ class Layout extends React.Component {
           meta={[
             {
               name: "theme-color",
-              content:
-                this.state.theme === "light" ? "#82AAFF" : "#282c35",
+              content: themeColors[this.state.theme] || themeColors.dark,
             },
           ]}
         />
@@ -106,35 +162,9 @@ class Layout extends React.Component {
             }}
           >
             {this.renderHeader()}
+            {this.renderSearch()}
             {this.state.theme !== null ? (
-              <Toggle
-                icons={{
-                  checked: (
-                    <img
-                      src={moon}
-                      width="16"
-                      height="16"
-                      role="presentation"
-                      style={{ pointerEvents: "none" }}
-                    />
-                  ),
-                  unchecked: (
-                    <img
-                      src={sun}
-                      width="16"
-                      height="16"
-                      role="presentation"
-                      style={{ pointerEvents: "none" }}
-                    />
-                  ),
-                }}
-                checked={this.state.theme === "dark"}
-                onChange={e =>
-                  window.__setPreferredTheme(
-                    e.target.checked ? "dark" : "light"
-                  )
-                }
-              />
+              this.renderThemeControls()
             ) : (
               <div style={{ height: "24px" }} />
             )}
@@ -0,0 +1,222 @@
+import React from 'react';
+
+import './Lightbox.css';
+
+// Horizontal distance of a swipe to the next or previous image.
+const SWIPE_DISTANCE = 50;
+
+// Reads an image of gatsby-remark-images from the link to its original
+// file.
+export function getImage(link) {
+  const img = link.querySelector('img');
+  const figure = link.closest('figure');
+  const caption = figure && figure.querySelector('figcaption');
+  return {
+    link,
+    src: link.href,
+    alt: img ? img.alt : '',
+    caption: caption ? caption.textContent : '',
+  };
+}
+
+// Shows the original files of a post's images on top of the page. Arrow
+// keys, swipes and the buttons step through all images, `+` and `-`
+// switch between fitting the screen and the actual size. Pinch-zoom is
+// left to the browser, which zooms into the full resolution original.
+class Lightbox extends React.Component {
+  state = {
+    zoomed: false,
+  };
+
+  dialog = React.createRef();
+  closeButton = React.createRef();
+
+  componentDidMount() {
+    this.overflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    this.closeButton.current.focus();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.index !== this.props.index && this.state.zoomed) {
+      this.setState({ zoomed: false });
+    }
+  }
+
+  componentWillUnmount() {
+    document.body.style.overflow = this.overflow;
+    // Back to the image the reader ended up on.
+    this.props.images[this.props.index].link.focus();
+  }
+
+  step(offset) {
+    const { images, index, onChange } = this.props;
+    onChange((index + offset + images.length) % images.length);
+  }
+
+  showPrevious = () => this.step(-1);
+
+  showNext = () => this.step(1);
+
+  toggleZoom = () => {
+    this.setState(({ zoomed }) => ({ zoomed: !zoomed }));
+  };
+
+  // Keeps the focus inside the dialog.
+  trapFocus(event) {
+    const focusable = Array.from(
+      this.dialog.current.querySelectorAll('button, a[href]')
+    );
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  handleKeyDown = event => {
+    const { images, onChange, onClose } = this.props;
+    switch (event.key) {
+      case 'Escape':
+        onClose();
+        break;
+      case 'ArrowLeft':
+        this.showPrevious();
+        break;
+      case 'ArrowRight':
+        this.showNext();
+        break;
+      case 'Home':
+        onChange(0);
+        break;
+      case 'End':
+        onChange(images.length - 1);
+        break;
+      case '+':
+      case '=':
+        this.setState({ zoomed: true });
+        break;
+      case '-':
+        this.setState({ zoomed: false });
+        break;
+      case 'Tab':
+        this.trapFocus(event);
+        return;
+      default:
+        return;
+    }
+    event.preventDefault();
+  };
+
+  handleStageClick = event => {
+    if (event.target === event.currentTarget) {
+      this.props.onClose();
+    }
+  };
+
+  handleTouchStart = event => {
+    // Two fingers pinch, they don't swipe.
+    this.touchStartX =
+      event.touches.length === 1 ? event.touches[0].clientX : null;
+  };
+
+  handleTouchEnd = event => {
+    const zoomedIn =
+      this.state.zoomed ||
+      (window.visualViewport && window.visualViewport.scale > 1);
+    if (this.touchStartX === null || zoomedIn) {
+      return;
+    }
+    const distance = event.changedTouches[0].clientX - this.touchStartX;
+    if (distance > SWIPE_DISTANCE) {
+      this.showPrevious();
+    } else if (distance < -SWIPE_DISTANCE) {
+      this.showNext();
+    }
+  };
+
+  render() {
+    const { images, index, onClose } = this.props;
+    const { zoomed } = this.state;
+    const image = images[index];
+
+    return (
+      <div
+        ref={this.dialog}
+        className="lightbox"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Image viewer"
+        onKeyDown={this.handleKeyDown}
+      >
+        <div className="lightbox-toolbar">
+          <p className="lightbox-counter" aria-live="polite">
+            Image {index + 1} of {images.length}
+          </p>
+          <button
+            type="button"
+            aria-pressed={zoomed}
+            onClick={this.toggleZoom}
+          >
+            Actual size
+          </button>
+          <a href={image.src} target="_blank" rel="noopener noreferrer">
+            Original
+          </a>
+          <button
+            ref={this.closeButton}
+            type="button"
+            aria-label="Close"
+            onClick={onClose}
+          >
+            ×
+          </button>
+        </div>
+        <div
+          className={`lightbox-stage${
+            zoomed ? ' lightbox-stage-zoomed' : ''
+          }`}
+          onClick={this.handleStageClick}
+          onTouchStart={this.handleTouchStart}
+          onTouchEnd={this.handleTouchEnd}
+        >
+          <img
+            key={image.src}
+            src={image.src}
+            alt={image.alt}
+            onClick={this.toggleZoom}
+          />
+        </div>
+        {images.length > 1 && (
+          <>
+            <button
+              type="button"
+              className="lightbox-step lightbox-previous"
+              aria-label="Previous image"
+              onClick={this.showPrevious}
+            >
+              ‹
+            </button>
+            <button
+              type="button"
+              className="lightbox-step lightbox-next"
+              aria-label="Next image"
+              onClick={this.showNext}
+            >
+              ›
+            </button>
+          </>
+        )}
+        {image.caption && (
+          <p className="lightbox-caption">{image.caption}</p>
+        )}
+      </div>
+    );
+  }
+}
+
+export default Lightbox;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { Link } from 'gatsby';
+import times from 'lodash/times';
+
+import { getPagePath } from '../utils/helpers';
+import { rhythm } from '../utils/typography';
+
+function Pagination({ basePath, currentPage, numPages }) {
+  if (numPages <= 1) {
+    return null;
+  }
+
+  return (
+    <nav aria-label="Pagination">
+      <ul
+        style={{
+          display: `flex`,
+          flexWrap: `wrap`,
+          justifyContent: `center`,
+          alignItems: `center`,
+          listStyle: `none`,
+          padding: 0,
+          margin: `${rhythm(1)} 0`,
+        }}
+      >
+        <li style={{ margin: `0 ${rhythm(1 / 2)} 0 0` }}>
+          {currentPage > 1 && (
+            <Link to={getPagePath(basePath, currentPage - 1)} rel="prev">
+              ← Newer
+            </Link>
+          )}
+        </li>
+        {times(numPages, index => {
+          const page = index + 1;
+          return (
+            <li key={page} style={{ margin: `0 ${rhythm(1 / 4)}` }}>
+              {page === currentPage ? (
+                <span aria-current="page">
+                  <strong>{page}</strong>
+                </span>
+              ) : (
+                <Link
+                  to={getPagePath(basePath, page)}
+                  aria-label={`Page ${page}`}
+                >
+                  {page}
+                </Link>
+              )}
+            </li>
+          );
+        })}
+        <li style={{ margin: `0 0 0 ${rhythm(1 / 2)}` }}>
+          {currentPage < numPages && (
+            <Link to={getPagePath(basePath, currentPage + 1)} rel="next">
+              Older →
+            </Link>
+          )}
+        </li>
+      </ul>
+    </nav>
+  );
+}
+
+export default Pagination;
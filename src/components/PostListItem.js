@@ -1,13 +1,22 @@
 import React from 'react';
-import { Link } from 'gatsby';
+import { Link, graphql } from 'gatsby';
 
 import { formatReadingTime } from '../utils/helpers';
+import {
+  getReadingStatus,
+  useReadingHistory,
+} from '../utils/readingProgress';
 import { rhythm } from '../utils/typography';
 
 function PostListItem({
   node,
+  lang,
   title = node.frontmatter.title || node.fields.slug,
 }) {
+  const history = useReadingHistory();
+  const entry = history[node.fields.slug];
+  const status = getReadingStatus(entry);
+
   return (
     <div key={node.fields.slug}>
       <h3
@@ -27,7 +36,17 @@ function PostListItem({
       </h3>
       <small>
         {node.frontmatter.date}{' '}
-        {` • ${formatReadingTime(node.timeToRead)}`}
+        {` • ${formatReadingTime(node.timeToRead, lang)}`}
+        {/* First-time readers have nothing to tell apart. */}
+        {Object.keys(history).length > 0 && (
+          <span>
+            {' • '}
+            {status === 'read' && 'Read'}
+            {status === 'in-progress' &&
+              `${Math.round(entry.progress * 100)}% read`}
+            {status === 'unread' && 'Unread'}
+          </span>
+        )}
       </small>
       <p
         dangerouslySetInnerHTML={{
@@ -39,3 +58,37 @@ function PostListItem({
 }
 
 export default PostListItem;
+
+// What listings query for each post. Their queries need `$lang` and
+// `$dateFormat` variables.
+export const query = graphql`
+  fragment MarkdownRemarkListItem on MarkdownRemark {
+    excerpt
+    fields {
+      slug
+      tags
+    }
+    timeToRead
+    frontmatter {
+      date(formatString: $dateFormat, locale: $lang)
+      isoDate: date
+      title
+      description
+    }
+  }
+
+  fragment MdxListItem on Mdx {
+    excerpt
+    fields {
+      slug
+      tags
+    }
+    timeToRead
+    frontmatter {
+      date(formatString: $dateFormat, locale: $lang)
+      isoDate: date
+      title
+      description
+    }
+  }
+`;
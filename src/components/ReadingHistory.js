@@ -0,0 +1,46 @@
+import React from 'react';
+
+import {
+  clearReadingHistory,
+  useReadingHistory,
+} from '../utils/readingProgress';
+import { rhythm, scale } from '../utils/typography';
+
+// Lets readers forget which posts `PostListItem` marks as read or in
+// progress. Only shows up once there is something to forget.
+function ReadingHistory() {
+  const history = useReadingHistory();
+
+  if (Object.keys(history).length === 0) {
+    return null;
+  }
+
+  return (
+    <p
+      style={{
+        ...scale(-1 / 5),
+        marginBottom: rhythm(1),
+        fontFamily: `Montserrat, sans-serif`,
+      }}
+    >
+      Your reading progress stays in this browser.{' '}
+      <button
+        type="button"
+        onClick={clearReadingHistory}
+        style={{
+          padding: 0,
+          border: `none`,
+          background: `none`,
+          color: `var(--textLink)`,
+          font: `inherit`,
+          textDecoration: `underline`,
+          cursor: `pointer`,
+        }}
+      >
+        Clear reading history
+      </button>
+    </p>
+  );
+}
+
+export default ReadingHistory;
@@ -0,0 +1,154 @@
+import React from 'react';
+
+import {
+  READ_THRESHOLD,
+  STARTED_THRESHOLD,
+  getReadingHistory,
+  saveReadingProgress,
+} from '../utils/readingProgress';
+
+import './ReadingProgress.css';
+
+// Progress changes smaller than this aren't worth a write to
+// localStorage.
+const SAVE_STEP = 0.01;
+
+// Shows how much of the `target` element the reader scrolled past and
+// remembers it per `slug`. Returning readers are offered to continue
+// where they left off, but never scrolled without asking.
+class ReadingProgress extends React.Component {
+  state = {
+    progress: 0,
+    resumeAt: null,
+  };
+
+  componentDidMount() {
+    window.addEventListener('scroll', this.handleScroll, {
+      passive: true,
+    });
+    window.addEventListener('resize', this.handleScroll);
+    this.start();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.slug !== this.props.slug) {
+      this.start();
+    }
+  }
+
+  componentWillUnmount() {
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('resize', this.handleScroll);
+    window.cancelAnimationFrame(this.frame);
+  }
+
+  start() {
+    const entry = getReadingHistory()[this.props.slug];
+    const progress = this.getProgress();
+    this.savedProgress = progress;
+    this.setState({
+      progress,
+      // Readers who followed a link to a heading are where they want to
+      // be already.
+      resumeAt:
+        entry &&
+        !window.location.hash &&
+        entry.progress >= STARTED_THRESHOLD &&
+        entry.progress < READ_THRESHOLD &&
+        entry.progress > progress
+          ? entry.progress
+          : null,
+    });
+  }
+
+  getProgress() {
+    const target = this.props.target.current;
+    if (!target) {
+      return 0;
+    }
+    const { top, height } = target.getBoundingClientRect();
+    const scrollable = height - window.innerHeight;
+    if (scrollable <= 0) {
+      return top + height <= window.innerHeight ? 1 : 0;
+    }
+    return Math.min(1, Math.max(0, -top / scrollable));
+  }
+
+  handleScroll = () => {
+    window.cancelAnimationFrame(this.frame);
+    this.frame = window.requestAnimationFrame(this.update);
+  };
+
+  update = () => {
+    const progress = this.getProgress();
+    const { resumeAt } = this.state;
+    const resumed = resumeAt === null || progress >= resumeAt;
+    this.setState({
+      progress,
+      resumeAt: resumed ? null : resumeAt,
+    });
+
+    // The position of the last visit stays until the reader continues,
+    // dismisses the prompt or reads past it.
+    const changed =
+      Math.abs(progress - this.savedProgress) >= SAVE_STEP ||
+      (progress === 1 && this.savedProgress !== 1);
+    if (resumed && changed) {
+      this.savedProgress = progress;
+      saveReadingProgress(this.props.slug, progress);
+    }
+  };
+
+  continueReading = () => {
+    const target = this.props.target.current;
+    const { top, height } = target.getBoundingClientRect();
+    const scrollable = height - window.innerHeight;
+    window.scrollTo(
+      0,
+      window.pageYOffset + top + this.state.resumeAt * scrollable
+    );
+    this.setState({ resumeAt: null });
+  };
+
+  dismiss = () => {
+    this.setState({ resumeAt: null });
+  };
+
+  render() {
+    const { progress, resumeAt } = this.state;
+    const percent = Math.round(progress * 100);
+
+    return (
+      <>
+        <div
+          className="reading-progress"
+          role="progressbar"
+          aria-label="Reading progress"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={percent}
+        >
+          <div
+            className="reading-progress-bar"
+            style={{ transform: `scaleX(${progress})` }}
+          />
+        </div>
+        {resumeAt !== null && (
+          <div className="reading-resume" role="status">
+            <span className="reading-resume-text">
+              You read {Math.round(resumeAt * 100)}% of this post.
+            </span>
+            <button type="button" onClick={this.continueReading}>
+              Continue reading
+            </button>
+            <button type="button" onClick={this.dismiss}>
+              Dismiss
+            </button>
+          </div>
+        )}
+      </>
+    );
+  }
+}
+
+export default ReadingProgress;
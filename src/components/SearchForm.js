@@ -0,0 +1,69 @@
+import React from 'react';
+import { navigate, withPrefix } from 'gatsby';
+
+import { rhythm } from '../utils/typography';
+
+// Without JavaScript the form still works as a plain GET request.
+class SearchForm extends React.Component {
+  static defaultProps = {
+    defaultValue: '',
+  };
+
+  state = {
+    query: this.props.defaultValue,
+  };
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.defaultValue !== this.props.defaultValue) {
+      this.setState({ query: this.props.defaultValue });
+    }
+  }
+
+  handleChange = ({ target: { value } }) => {
+    this.setState({ query: value });
+    if (this.props.onChange) {
+      this.props.onChange(value);
+    }
+  };
+
+  handleSubmit = event => {
+    event.preventDefault();
+    const query = this.state.query.trim();
+    navigate(`/search/?q=${encodeURIComponent(query)}`);
+  };
+
+  render() {
+    const { style } = this.props;
+
+    return (
+      <form
+        action={withPrefix('/search/')}
+        method="get"
+        role="search"
+        onSubmit={this.handleSubmit}
+        style={{ margin: 0, ...style }}
+      >
+        <input
+          type="search"
+          name="q"
+          aria-label="Search posts"
+          placeholder="Search posts"
+          value={this.state.query}
+          onChange={this.handleChange}
+          style={{
+            width: '100%',
+            padding: `${rhythm(1 / 8)} ${rhythm(1 / 3)}`,
+            border: '1px solid var(--hr)',
+            borderRadius: '4px',
+            background: 'var(--bg)',
+            color: 'var(--textNormal)',
+            fontFamily: 'Montserrat, sans-serif',
+            fontSize: '0.875rem',
+          }}
+        />
+      </form>
+    );
+  }
+}
+
+export default SearchForm;
@@ -3,7 +3,122 @@ import PropTypes from 'prop-types';
 import Helmet from 'react-helmet';
 import { useStaticQuery, graphql } from 'gatsby';
 
-function SEO({ description, lang, meta, keywords, slug, title, image }) {
+import { useAuthor } from '../utils/authors';
+import { defaultLanguage } from '../utils/languages.json';
+
+function getPerson(author, siteUrl) {
+  const { social } = author;
+  return {
+    '@type': 'Person',
+    name: author.name,
+    url: `${siteUrl}${author.path}`,
+    image: author.avatar
+      ? `${siteUrl}${author.avatar.publicURL}`
+      : undefined,
+    sameAs: []
+      .concat(
+        social.twitter ? `https://twitter.com/${social.twitter}` : []
+      )
+      .concat(
+        social.instagram
+          ? `https://www.instagram.com/${social.instagram}/`
+          : []
+      ),
+  };
+}
+
+function getBreadcrumbList(breadcrumbs, siteUrl) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: breadcrumbs.map(({ name, path }, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name,
+      item: `${siteUrl}${path}`,
+    })),
+  };
+}
+
+function getStructuredData({
+  site,
+  author,
+  siteOwner,
+  siteUrl,
+  url,
+  title,
+  description,
+  image,
+  slug,
+  article,
+  breadcrumbs,
+}) {
+  const owner = getPerson(siteOwner, siteUrl);
+  const data = [];
+
+  // The home page describes the blog itself and its owner.
+  if (slug === '/') {
+    data.push({
+      '@context': 'https://schema.org',
+      '@type': 'WebSite',
+      name: site.siteMetadata.title,
+      description: site.siteMetadata.description,
+      url: siteUrl,
+      author: owner,
+    });
+    data.push({ '@context': 'https://schema.org', ...owner });
+  }
+
+  if (article) {
+    data.push({
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+      url,
+      headline: title,
+      description,
+      datePublished: article.datePublished,
+      dateModified: article.dateModified || article.datePublished,
+      author: getPerson(author, siteUrl),
+      publisher: owner,
+      keywords: article.tags.join(', '),
+      wordCount: article.wordCount,
+      ...(image ? { image } : {}),
+    });
+  }
+
+  if (breadcrumbs.length > 0) {
+    data.push(
+      getBreadcrumbList(
+        [{ name: site.siteMetadata.title, path: '/' }].concat(
+          breadcrumbs
+        ),
+        siteUrl
+      )
+    );
+  }
+
+  return data;
+}
+
+function SEO({
+  description,
+  lang,
+  meta,
+  keywords,
+  slug,
+  title,
+  image,
+  prev,
+  next,
+  article,
+  breadcrumbs,
+  feed,
+  authorId,
+  translations,
+}) {
+  const author = useAuthor(authorId);
+  const siteOwner = useAuthor();
   const { site } = useStaticQuery(
     graphql`
       query {
@@ -11,7 +126,6 @@ function SEO({ description, lang, meta, keywords, slug, title, image }) {
           siteMetadata {
             title
             description
-            author
             siteUrl
             social {
               twitter
@@ -23,10 +137,70 @@ function SEO({ description, lang, meta, keywords, slug, title, image }) {
   );
 
   const metaDescription = description || site.siteMetadata.description;
-  const metaImage = image
-    ? `${site.siteMetadata.siteUrl}/${image}`
-    : null;
-  const url = `${site.siteMetadata.siteUrl}${slug}`;
+  const siteUrl = site.siteMetadata.siteUrl.replace(/\/$/, '');
+  const metaImage = image ? `${siteUrl}${image}` : null;
+  const url = `${siteUrl}${slug}`;
+  // gatsby-plugin-feed already advertises the main RSS feed.
+  const link = [
+    {
+      rel: 'alternate',
+      type: 'application/atom+xml',
+      title: `${site.siteMetadata.title} (Atom)`,
+      href: `${siteUrl}/atom.xml`,
+    },
+    {
+      rel: 'alternate',
+      type: 'application/feed+json',
+      title: `${site.siteMetadata.title} (JSON Feed)`,
+      href: `${siteUrl}/feed.json`,
+    },
+  ]
+    .concat(
+      feed
+        ? {
+            rel: 'alternate',
+            type: 'application/rss+xml',
+            title: feed.title,
+            href: `${siteUrl}${feed.path}`,
+          }
+        : []
+    )
+    .concat(
+      translations.length > 1
+        ? translations
+            .map(translation => ({
+              rel: 'alternate',
+              hrefLang: translation.lang,
+              href: `${siteUrl}${translation.slug}`,
+            }))
+            .concat(
+              translations
+                .filter(
+                  translation => translation.lang === defaultLanguage
+                )
+                .map(translation => ({
+                  rel: 'alternate',
+                  hrefLang: 'x-default',
+                  href: `${siteUrl}${translation.slug}`,
+                }))
+            )
+        : []
+    )
+    .concat(prev ? { rel: 'prev', href: `${siteUrl}${prev}` } : [])
+    .concat(next ? { rel: 'next', href: `${siteUrl}${next}` } : []);
+  const structuredData = getStructuredData({
+    site,
+    author,
+    siteOwner,
+    siteUrl,
+    url,
+    title,
+    description: metaDescription,
+    image: metaImage,
+    slug,
+    article,
+    breadcrumbs,
+  });
 
   return (
     <Helmet
@@ -35,6 +209,11 @@ function SEO({ description, lang, meta, keywords, slug, title, image }) {
       }}
       title={title}
       titleTemplate={`%s | ${site.siteMetadata.title}`}
+      link={link}
+      script={structuredData.map(data => ({
+        type: 'application/ld+json',
+        innerHTML: JSON.stringify(data),
+      }))}
       meta={[
         {
           name: `description`,
@@ -54,15 +233,17 @@ function SEO({ description, lang, meta, keywords, slug, title, image }) {
         },
         {
           property: `og:type`,
-          content: `website`,
+          content: article ? `article` : `website`,
         },
         {
           name: `twitter:card`,
-          content: `summary`,
+          content: metaImage ? `summary_large_image` : `summary`,
         },
         {
           name: `twitter:creator`,
-          content: site.siteMetadata.social.twitter,
+          content: author.social.twitter
+            ? `@${author.social.twitter}`
+            : site.siteMetadata.social.twitter,
         },
         {
           name: `twitter:title`,
@@ -95,13 +276,37 @@ function SEO({ description, lang, meta, keywords, slug, title, image }) {
               ]
             : []
         )
+        .concat(
+          article
+            ? [
+                {
+                  property: 'article:published_time',
+                  content: article.datePublished,
+                },
+              ]
+                .concat(
+                  article.dateModified
+                    ? {
+                        property: 'article:modified_time',
+                        content: article.dateModified,
+                      }
+                    : []
+                )
+                .concat(
+                  article.tags.map(tag => ({
+                    property: 'article:tag',
+                    content: tag,
+                  }))
+                )
+            : []
+        )
         .concat(meta)}
     />
   );
 }
 
 SEO.defaultProps = {
-  lang: `en`,
+  lang: defaultLanguage,
   meta: [],
   keywords: [
     'amplify',
@@ -126,6 +331,8 @@ SEO.defaultProps = {
   ],
   description: ``,
   slug: ``,
+  breadcrumbs: [],
+  translations: [],
 };
 
 SEO.propTypes = {
@@ -134,6 +341,32 @@ SEO.propTypes = {
   meta: PropTypes.arrayOf(PropTypes.object),
   keywords: PropTypes.arrayOf(PropTypes.string),
   title: PropTypes.string.isRequired,
+  image: PropTypes.string,
+  prev: PropTypes.string,
+  next: PropTypes.string,
+  article: PropTypes.shape({
+    datePublished: PropTypes.string.isRequired,
+    dateModified: PropTypes.string,
+    tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+    wordCount: PropTypes.number,
+  }),
+  authorId: PropTypes.string,
+  feed: PropTypes.shape({
+    title: PropTypes.string.isRequired,
+    path: PropTypes.string.isRequired,
+  }),
+  breadcrumbs: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      path: PropTypes.string.isRequired,
+    })
+  ),
+  translations: PropTypes.arrayOf(
+    PropTypes.shape({
+      lang: PropTypes.string.isRequired,
+      slug: PropTypes.string.isRequired,
+    })
+  ),
 };
 
 export default SEO;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Link } from 'gatsby';
+
+import { rhythm } from '../utils/typography';
+
+function SeriesBox({ series, slug }) {
+  const current = series.parts.findIndex(
+    part => part.fields.slug === slug
+  );
+
+  return (
+    <aside
+      aria-label={`Series: ${series.name}`}
+      style={{
+        marginBottom: rhythm(1),
+        padding: `${rhythm(1 / 2)} ${rhythm(3 / 4)}`,
+        border: `1px solid var(--hr)`,
+        borderRadius: `6px`,
+        fontFamily: `Montserrat, sans-serif`,
+      }}
+    >
+      <p style={{ marginBottom: rhythm(1 / 4) }}>
+        This post is part {current + 1} of {series.parts.length} of the
+        series{' '}
+        <Link to={series.path}>
+          <strong>{series.name}</strong>
+        </Link>
+        .
+      </p>
+      <ol style={{ marginBottom: 0 }}>
+        {series.parts.map((part, index) => (
+          <li key={part.fields.slug} style={{ marginBottom: 0 }}>
+            {index === current ? (
+              <strong aria-current="page">
+                {part.frontmatter.title}
+              </strong>
+            ) : (
+              <Link to={part.fields.slug}>{part.frontmatter.title}</Link>
+            )}
+          </li>
+        ))}
+      </ol>
+    </aside>
+  );
+}
+
+export default SeriesBox;
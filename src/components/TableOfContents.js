@@ -0,0 +1,117 @@
+import React from 'react';
+import GithubSlugger from 'github-slugger';
+
+import './TableOfContents.css';
+
+// Short posts don't need a table of contents.
+const MIN_ITEMS = 3;
+
+// gatsby-remark-autolink-headers derives the heading ids with
+// github-slugger, so slugging the same headings in the same order gives
+// the same ids.
+function getHeadingIds(headings) {
+  const slugger = new GithubSlugger();
+  return headings.map(heading => ({
+    ...heading,
+    id: slugger.slug(heading.value),
+  }));
+}
+
+class TableOfContents extends React.Component {
+  state = {
+    activeId: null,
+  };
+
+  visibleIds = new Set();
+
+  componentDidMount() {
+    if (
+      !('IntersectionObserver' in window) ||
+      this.getItems().length < MIN_ITEMS
+    ) {
+      return;
+    }
+    this.observer = new IntersectionObserver(this.handleIntersection, {
+      rootMargin: '0px 0px -60% 0px',
+    });
+    this.getItems().forEach(({ id }) => {
+      const element = document.getElementById(id);
+      if (element) {
+        this.observer.observe(element);
+      }
+    });
+  }
+
+  componentWillUnmount() {
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+  }
+
+  getItems() {
+    return getHeadingIds(this.props.headings).filter(
+      ({ depth }) => depth === 2 || depth === 3
+    );
+  }
+
+  handleIntersection = entries => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        this.visibleIds.add(entry.target.id);
+      } else {
+        this.visibleIds.delete(entry.target.id);
+      }
+    });
+
+    // The first heading in the upper part of the viewport is the current
+    // section. When none is, the reader is still in the last one passed.
+    const items = this.getItems();
+    const visible = items.find(({ id }) => this.visibleIds.has(id));
+    if (visible) {
+      this.setState({ activeId: visible.id });
+      return;
+    }
+    const passed = items.filter(({ id }) => {
+      const element = document.getElementById(id);
+      return element && element.getBoundingClientRect().top < 0;
+    });
+    this.setState({
+      activeId: passed.length > 0 ? passed[passed.length - 1].id : null,
+    });
+  };
+
+  render() {
+    const items = this.getItems();
+
+    if (items.length < MIN_ITEMS) {
+      return null;
+    }
+
+    return (
+      <nav className="toc" aria-label="Table of contents">
+        <p className="toc-title">Contents</p>
+        <ul>
+          {items.map(({ id, value, depth }) => (
+            <li
+              key={id}
+              className={`toc-depth-${depth}${
+                id === this.state.activeId ? ' toc-active' : ''
+              }`}
+            >
+              <a
+                href={`#${id}`}
+                aria-current={
+                  id === this.state.activeId ? 'location' : undefined
+                }
+              >
+                {value}
+              </a>
+            </li>
+          ))}
+        </ul>
+      </nav>
+    );
+  }
+}
+
+export default TableOfContents;
@@ -0,0 +1,77 @@
+import React from 'react';
+
+import { rhythm } from '../../utils/typography';
+
+const buttonStyle = {
+  marginRight: rhythm(1 / 4),
+  marginBottom: rhythm(1 / 4),
+  padding: `${rhythm(1 / 8)} ${rhythm(1 / 2)}`,
+  border: '1px solid var(--textLink)',
+  borderRadius: '4px',
+  background: 'transparent',
+  color: 'var(--textLink)',
+  font: 'inherit',
+  cursor: 'pointer',
+};
+
+// Calls `setState` three times per click, with objects or with updater
+// functions. React batches the calls, so only the updaters add up.
+class Counter extends React.Component {
+  state = { count: 0 };
+
+  incrementWithObjects = () => {
+    this.setState({ count: this.state.count + 1 });
+    this.setState({ count: this.state.count + 1 });
+    this.setState({ count: this.state.count + 1 });
+  };
+
+  incrementWithUpdaters = () => {
+    this.setState(({ count }) => ({ count: count + 1 }));
+    this.setState(({ count }) => ({ count: count + 1 }));
+    this.setState(({ count }) => ({ count: count + 1 }));
+  };
+
+  reset = () => {
+    this.setState({ count: 0 });
+  };
+
+  render() {
+    return (
+      <figure
+        style={{
+          margin: `0 0 ${rhythm(1)}`,
+          padding: rhythm(1 / 2),
+          border: '1px solid var(--hr)',
+          borderRadius: '6px',
+          fontFamily: 'Montserrat, sans-serif',
+        }}
+      >
+        <p aria-live="polite" style={{ marginBottom: rhythm(1 / 2) }}>
+          Count: <strong>{this.state.count}</strong>
+        </p>
+        <button
+          type="button"
+          style={buttonStyle}
+          onClick={this.incrementWithObjects}
+        >
+          +3 with objects
+        </button>
+        <button
+          type="button"
+          style={buttonStyle}
+          onClick={this.incrementWithUpdaters}
+        >
+          +3 with updater functions
+        </button>
+        <button type="button" style={buttonStyle} onClick={this.reset}>
+          Reset
+        </button>
+        <figcaption style={{ fontSize: '0.8rem', opacity: 0.8 }}>
+          Each button calls <code>setState</code> three times in a row.
+        </figcaption>
+      </figure>
+    );
+  }
+}
+
+export default Counter;
@@ -0,0 +1,29 @@
+import React from 'react';
+
+import CodeToolbar from './CodeToolbar';
+import Embed from './Embed';
+import Counter from './demos/Counter';
+
+// MDX renders the HTML of the remark plugins with these components too,
+// so that React owns the buttons of code toolbars and embeds.
+function Div(props) {
+  if (props.className === 'code-toolbar') {
+    return <CodeToolbar {...props} />;
+  }
+  return <div {...props} />;
+}
+
+function Figure(props) {
+  if (/(?:^| )embed(?: |$)/.test(props.className)) {
+    return <Embed {...props} />;
+  }
+  return <figure {...props} />;
+}
+
+// Components that `.mdx` posts can use without importing them, e.g.
+// `<Counter />`.
+export default {
+  Counter,
+  div: Div,
+  figure: Figure,
+};
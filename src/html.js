@@ -1,6 +1,8 @@
 import React from "react"
 import PropTypes from "prop-types"
 
+import { getThemeCss, systemThemes, themeColors } from "./style/themes"
+
 export default function HTML(props) {
   return (
     <html {...props.htmlAttributes}>
@@ -11,6 +13,7 @@ export default function HTML(props) {
           name="viewport"
           content="width=device-width, initial-scale=1, shrink-to-fit=no"
         />
+        <style dangerouslySetInnerHTML={{ __html: getThemeCss() }} />
         {props.headComponents}
       </head>
       <body {...props.bodyAttributes} className="light">
@@ -18,28 +21,44 @@ export default function HTML(props) {
           dangerouslySetInnerHTML={{
             __html: `
               (function() {
+                var themeColors = ${JSON.stringify(themeColors)};
+                var systemThemes = ${JSON.stringify(systemThemes)};
+                var darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
                 window.__onThemeChange = function() {};
-                function setTheme(newTheme) {
+                // The preference is a theme id or 'system'. The theme is
+                // what 'system' resolves to right now.
+                function setTheme(newPreference) {
+                  var newTheme = newPreference === 'system'
+                    ? systemThemes[darkQuery.matches ? 'dark' : 'light']
+                    : newPreference;
+                  window.__themePreference = newPreference;
                   window.__theme = newTheme;
-                  preferredTheme = newTheme;
                   document.body.className = newTheme;
+                  var themeColor = document.querySelector('meta[name="theme-color"]');
+                  if (themeColor) {
+                    themeColor.setAttribute('content', themeColors[newTheme]);
+                  }
                   window.__onThemeChange(newTheme);
                 }
                 var preferredTheme;
                 try {
                   preferredTheme = localStorage.getItem('theme');
                 } catch (err) { }
-                window.__setPreferredTheme = function(newTheme) {
-                  setTheme(newTheme);
+                if (preferredTheme !== 'system' && !themeColors[preferredTheme]) {
+                  preferredTheme = 'system';
+                }
+                window.__setPreferredTheme = function(newPreference) {
+                  setTheme(newPreference);
                   try {
-                    localStorage.setItem('theme', newTheme);
+                    localStorage.setItem('theme', newPreference);
                   } catch (err) {}
                 }
-                var darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
-                darkQuery.addListener(function(e) {
-                  window.__setPreferredTheme(e.matches ? 'dark' : 'light')
+                darkQuery.addListener(function() {
+                  if (window.__themePreference === 'system') {
+                    setTheme('system');
+                  }
                 });
-                setTheme(preferredTheme || (darkQuery.matches ? 'dark' : 'light'));
+                setTheme(preferredTheme);
               })();
             `,
           }}
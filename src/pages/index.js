@@ -1,62 +0,0 @@
-import React from 'react';
-import { graphql } from 'gatsby';
-
-import Bio from '../components/Bio';
-import Footer from '../components/Footer';
-import Layout from '../components/Layout';
-import SEO from '../components/Seo';
-import PostListItem from '../components/PostListItem';
-
-class BlogIndex extends React.Component {
-  render() {
-    const { data } = this.props;
-    const siteTitle = data.site.siteMetadata.title;
-    const posts = data.allMarkdownRemark.edges;
-
-    return (
-      <Layout location={this.props.location} title={siteTitle}>
-        <SEO title="All posts" />
-        <aside>
-          <Bio />
-        </aside>
-        <main>
-          {posts.map(({ node }) => (
-            <PostListItem node={node} />
-          ))}
-        </main>
-        <Footer />
-      </Layout>
-    );
-  }
-}
-
-export default BlogIndex;
-
-export const pageQuery = graphql`
-  query {
-    site {
-      siteMetadata {
-        title
-      }
-    }
-    allMarkdownRemark(
-      sort: { fields: [frontmatter___date], order: DESC }
-    ) {
-      edges {
-        node {
-          excerpt
-          fields {
-            slug
-          }
-          timeToRead
-          frontmatter {
-            date(formatString: "MMMM DD, YYYY")
-            title
-            description
-            tags
-          }
-        }
-      }
-    }
-  }
-`;
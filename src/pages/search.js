@@ -0,0 +1,129 @@
+import React from 'react';
+import { Link, graphql, navigate } from 'gatsby';
+
+import Layout from '../components/Layout';
+import SEO from '../components/Seo';
+import SearchForm from '../components/SearchForm';
+import { formatReadingTime } from '../utils/helpers';
+import {
+  highlight,
+  loadSearchIndex,
+  search,
+  tokenize,
+} from '../utils/search';
+import { rhythm } from '../utils/typography';
+
+function getQuery(location) {
+  if (typeof window === 'undefined') {
+    return '';
+  }
+  return new URLSearchParams(location.search).get('q') || '';
+}
+
+function Highlighted({ text, terms }) {
+  return highlight(text, terms).map((part, index) =>
+    part.match ? <mark key={index}>{part.text}</mark> : part.text
+  );
+}
+
+class SearchPage extends React.Component {
+  state = {
+    index: null,
+    error: false,
+  };
+
+  componentDidMount() {
+    loadSearchIndex()
+      .then(index => this.setState({ index }))
+      .catch(() => this.setState({ error: true }));
+  }
+
+  handleChange = query => {
+    navigate(`/search/?q=${encodeURIComponent(query)}`, {
+      replace: true,
+    });
+  };
+
+  renderResults(query) {
+    const { index, error } = this.state;
+
+    if (error) {
+      return <p>The search index could not be loaded.</p>;
+    }
+    if (!query.trim()) {
+      return null;
+    }
+    if (!index) {
+      return <p>Loading…</p>;
+    }
+
+    const terms = tokenize(query);
+    const results = search(index, query);
+
+    if (results.length === 0) {
+      return <p>No posts found for "{query}".</p>;
+    }
+
+    return (
+      <>
+        <p>
+          {results.length} result{results.length === 1 ? '' : 's'} for "
+          {query}"
+        </p>
+        {results.map(result => (
+          <div key={result.slug}>
+            <h3
+              style={{
+                fontFamily: 'Montserrat, sans-serif',
+                fontSize: rhythm(1),
+                marginBottom: rhythm(1 / 4),
+              }}
+            >
+              <Link style={{ boxShadow: `none` }} to={result.slug}>
+                <Highlighted text={result.title} terms={terms} />
+              </Link>
+            </h3>
+            <small>
+              {result.date}{' '}
+              {` • ${formatReadingTime(result.timeToRead, result.lang)}`}
+            </small>
+            <p>
+              <Highlighted text={result.snippet} terms={terms} />
+            </p>
+          </div>
+        ))}
+      </>
+    );
+  }
+
+  render() {
+    const { data, location } = this.props;
+    const siteTitle = data.site.siteMetadata.title;
+    const query = getQuery(location);
+
+    return (
+      <Layout location={location} title={siteTitle}>
+        <SEO title="Search" slug="/search/" />
+        <h1>Search</h1>
+        <SearchForm
+          defaultValue={query}
+          onChange={this.handleChange}
+          style={{ marginBottom: rhythm(1) }}
+        />
+        <main aria-live="polite">{this.renderResults(query)}</main>
+      </Layout>
+    );
+  }
+}
+
+export default SearchPage;
+
+export const pageQuery = graphql`
+  query {
+    site {
+      siteMetadata {
+        title
+      }
+    }
+  }
+`;
@@ -1,30 +1,142 @@
-import React from 'react';
-import kebabCase from 'lodash/kebabCase';
+import React, { useState } from 'react';
 import { Link, graphql } from 'gatsby';
 
 import Layout from '../components/Layout';
 import SEO from '../components/Seo';
+import { getLanguagePrefix, getTag } from '../utils/helpers';
+import { rhythm } from '../utils/typography';
+
+// Font sizes in rem of the rarest and the most used tag.
+const MIN_SIZE = 0.875;
+const MAX_SIZE = 2;
+
+const SORTS = {
+  name: {
+    label: 'Name',
+    compare: (a, b) => a.name.localeCompare(b.name),
+  },
+  count: {
+    label: 'Posts',
+    compare: (a, b) =>
+      b.totalCount - a.totalCount || a.name.localeCompare(b.name),
+  },
+};
+
+// Adds up the tags of `.md` and `.mdx` posts.
+function mergeGroups(...groups) {
+  const totalCounts = {};
+  [].concat(...groups).forEach(({ fieldValue, totalCount }) => {
+    totalCounts[fieldValue] =
+      (totalCounts[fieldValue] || 0) + totalCount;
+  });
+  return Object.keys(totalCounts).map(id => ({
+    ...getTag(id),
+    totalCount: totalCounts[id],
+  }));
+}
+
+// Scales logarithmically, so that a few big tags don't shrink the rest.
+function getFontSize(totalCount, min, max) {
+  const weight =
+    max === min
+      ? 0
+      : (Math.log(totalCount) - Math.log(min)) /
+        (Math.log(max) - Math.log(min));
+  return `${MIN_SIZE + weight * (MAX_SIZE - MIN_SIZE)}rem`;
+}
 
 function TagsPage({
   data: {
-    allMarkdownRemark: { group },
+    allMarkdownRemark,
+    allMdx,
     site: {
       siteMetadata: { title },
     },
   },
   location,
+  pageContext: { lang },
 }) {
+  const [sort, setSort] = useState('name');
+  const prefix = getLanguagePrefix(lang);
+  const tags = mergeGroups(allMarkdownRemark.group, allMdx.group).sort(
+    SORTS[sort].compare
+  );
+  const counts = tags.map(tag => tag.totalCount);
+  const min = Math.min(...counts);
+  const max = Math.max(...counts);
+
   return (
-    <Layout location={location} title={title}>
-      <SEO title="All tags" />
+    <Layout location={location} title={title} lang={lang}>
+      <SEO
+        lang={lang}
+        title="All tags"
+        description={`The ${tags.length} topics of ${title}.`}
+        slug={`${prefix}/tags/`}
+        keywords={tags.map(tag => tag.name)}
+      />
       <div>
         <h1>All Tags</h1>
-        <ul>
-          {group.map(tag => (
-            <li key={tag.fieldValue}>
-              <Link to={`/tags/${kebabCase(tag.fieldValue)}/`}>
-                {tag.fieldValue} ({tag.totalCount})
-              </Link>
+        <div
+          role="group"
+          aria-label="Sort tags"
+          style={{
+            marginBottom: rhythm(1),
+            fontFamily: `Montserrat, sans-serif`,
+          }}
+        >
+          Sort by{' '}
+          {Object.keys(SORTS).map(key => (
+            <button
+              key={key}
+              type="button"
+              aria-pressed={sort === key}
+              onClick={() => setSort(key)}
+              style={{
+                marginLeft: rhythm(1 / 4),
+                padding: `0.1em 0.75em`,
+                border: `1px solid var(--textLink)`,
+                borderRadius: 4,
+                background:
+                  sort === key ? `var(--textLink)` : `transparent`,
+                color: sort === key ? `var(--bg)` : `var(--textLink)`,
+                font: `inherit`,
+                cursor: `pointer`,
+              }}
+            >
+              {SORTS[key].label}
+            </button>
+          ))}
+        </div>
+        <ul
+          style={{
+            display: `flex`,
+            flexWrap: `wrap`,
+            alignItems: `baseline`,
+            listStyle: `none`,
+            margin: 0,
+          }}
+        >
+          {tags.map(tag => (
+            <li
+              key={tag.id}
+              style={{
+                margin: `0 ${rhythm(3 / 4)} ${rhythm(1 / 2)} 0`,
+                fontSize: getFontSize(tag.totalCount, min, max),
+              }}
+            >
+              <Link
+                to={`${prefix}/tags/${tag.id}/`}
+                title={tag.description || undefined}
+                style={
+                  tag.color
+                    ? { boxShadow: `0 2px 0 0 ${tag.color}` }
+                    : undefined
+                }
+              >
+                {tag.icon && <span aria-hidden="true">{tag.icon} </span>}
+                {tag.name}
+              </Link>{' '}
+              <small>({tag.totalCount})</small>
             </li>
           ))}
         </ul>
@@ -36,14 +148,26 @@ function TagsPage({
 export default TagsPage;
 
 export const pageQuery = graphql`
-  query {
+  query($lang: String!) {
     site {
       siteMetadata {
         title
       }
     }
-    allMarkdownRemark(limit: 2000) {
-      group(field: frontmatter___tags) {
+    allMarkdownRemark(
+      limit: 2000
+      filter: { fields: { lang: { eq: $lang } }, released: { eq: true } }
+    ) {
+      group(field: fields___tags) {
+        fieldValue
+        totalCount
+      }
+    }
+    allMdx(
+      limit: 2000
+      filter: { fields: { lang: { eq: $lang } }, released: { eq: true } }
+    ) {
+      group(field: fields___tags) {
         fieldValue
         totalCount
       }
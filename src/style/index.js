@@ -1 +1 @@
-export const primaryColor = "#82AAFF"
+export const primaryColor = "var(--textLink)"
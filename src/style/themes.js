@@ -0,0 +1,179 @@
+// Every theme of the picker in `Layout`. `src/html.js` turns the colors
+// into CSS variables on `body.<id>`, so components, `typography.js` and
+// the Prism styles in `global.css` only use `var(--<name>)`.
+//
+// Text colors keep a WCAG AA contrast of at least 4.5:1 against `bg`, and
+// the Prism colors against `prism.bg`. Check new colors before adding
+// them.
+export const themes = {
+  light: {
+    name: "Light",
+    isDark: false,
+    themeColor: "#82AAFF",
+    colors: {
+      bg: "#ffffff",
+      textNormal: "#222222",
+      textTitle: "#222222",
+      textLink: "#3a6bd4",
+      hr: "hsla(0, 0%, 0%, 0.2)",
+      "inlineCode-bg": "rgba(130, 170, 255, 0.2)",
+      "inlineCode-text": "#1a1a1a",
+      "mark-bg": "rgba(130, 170, 255, 0.35)",
+      "callout-bg": "rgba(0, 0, 0, 0.03)",
+      "callout-note": "#3a6bd4",
+      "callout-tip": "#2b7a3d",
+      "callout-warning": "#a15c00",
+    },
+    prism: "nightOwl",
+  },
+  dark: {
+    name: "Dark",
+    isDark: true,
+    themeColor: "#282c35",
+    colors: {
+      bg: "#282c35",
+      textNormal: "rgba(255, 255, 255, 0.88)",
+      textTitle: "#ffffff",
+      textLink: "#82aaff",
+      hr: "hsla(0, 0%, 100%, 0.2)",
+      "inlineCode-bg": "rgba(130, 170, 255, 0.2)",
+      "inlineCode-text": "#e6e6e6",
+      "mark-bg": "rgba(130, 170, 255, 0.3)",
+      "callout-bg": "rgba(255, 255, 255, 0.05)",
+      "callout-note": "#82aaff",
+      "callout-tip": "#7ed491",
+      "callout-warning": "#ffc061",
+    },
+    prism: "nightOwl",
+  },
+  highContrast: {
+    name: "High contrast",
+    isDark: true,
+    themeColor: "#000000",
+    colors: {
+      bg: "#000000",
+      textNormal: "#ffffff",
+      textTitle: "#ffffff",
+      textLink: "#ffeb3b",
+      hr: "hsla(0, 0%, 100%, 0.6)",
+      "inlineCode-bg": "#1f1f1f",
+      "inlineCode-text": "#ffffff",
+      "mark-bg": "rgba(255, 235, 59, 0.35)",
+      "callout-bg": "#0d0d0d",
+      "callout-note": "#8cc4ff",
+      "callout-tip": "#8cff8c",
+      "callout-warning": "#ffeb3b",
+    },
+    prism: "highContrast",
+  },
+  sepia: {
+    name: "Sepia",
+    isDark: false,
+    themeColor: "#f4ecd8",
+    colors: {
+      bg: "#f4ecd8",
+      textNormal: "#433422",
+      textTitle: "#2b2118",
+      textLink: "#8a4510",
+      hr: "hsla(30, 30%, 20%, 0.2)",
+      "inlineCode-bg": "rgba(138, 69, 16, 0.12)",
+      "inlineCode-text": "#2b2118",
+      "mark-bg": "rgba(214, 160, 60, 0.35)",
+      "callout-bg": "rgba(67, 52, 34, 0.05)",
+      "callout-note": "#1d5491",
+      "callout-tip": "#3e5a08",
+      "callout-warning": "#8a4510",
+    },
+    prism: "sepia",
+  },
+}
+
+// Code block palettes, shared by themes with the same `prism` id.
+export const prismThemes = {
+  nightOwl: {
+    bg: "#011627",
+    text: "#ffffff",
+    comment: "#8b9f9f",
+    attr: "rgb(173, 219, 103)",
+    variable: "rgb(214, 222, 235)",
+    number: "rgb(247, 140, 108)",
+    keyword: "rgb(130, 170, 255)",
+    operator: "rgb(199, 146, 234)",
+    string: "rgb(255, 203, 139)",
+    boolean: "rgb(255, 88, 116)",
+    property: "rgb(128, 203, 196)",
+    namespace: "rgb(178, 204, 214)",
+    selection: "hsla(0, 0%, 100%, 0.15)",
+    lineHighlight: "hsla(207, 95%, 15%, 1)",
+    lineHighlightBorder: "rgb(130, 170, 255)",
+    inserted: "rgba(173, 219, 103, 0.15)",
+    deleted: "rgba(255, 88, 116, 0.15)",
+  },
+  highContrast: {
+    bg: "#000000",
+    text: "#ffffff",
+    comment: "#b3b3b3",
+    attr: "#8cff8c",
+    variable: "#ffffff",
+    number: "#ffb38a",
+    keyword: "#8cc4ff",
+    operator: "#ffa8ff",
+    string: "#ffe066",
+    boolean: "#ff8c8c",
+    property: "#7fffd4",
+    namespace: "#d6e4ff",
+    selection: "hsla(0, 0%, 100%, 0.3)",
+    lineHighlight: "#1f1f1f",
+    lineHighlightBorder: "#ffeb3b",
+    inserted: "rgba(140, 255, 140, 0.2)",
+    deleted: "rgba(255, 140, 140, 0.2)",
+  },
+  sepia: {
+    bg: "#ebe0c6",
+    text: "#2b2118",
+    comment: "#5e5445",
+    attr: "#47610a",
+    variable: "#2b2118",
+    number: "#9c3a0c",
+    keyword: "#1d5491",
+    operator: "#74389a",
+    string: "#6e5200",
+    boolean: "#a8201a",
+    property: "#0d625a",
+    namespace: "#3f5366",
+    selection: "hsla(30, 30%, 20%, 0.15)",
+    lineHighlight: "#e0d1ab",
+    lineHighlightBorder: "#8a4510",
+    inserted: "rgba(71, 97, 10, 0.1)",
+    deleted: "rgba(168, 32, 26, 0.12)",
+  },
+}
+
+// What the "system" preference resolves to.
+export const systemThemes = {
+  light: "light",
+  dark: "dark",
+}
+
+// The `theme-color` meta of each theme.
+export const themeColors = Object.keys(themes).reduce(
+  (colors, id) => ({ ...colors, [id]: themes[id].themeColor }),
+  {}
+)
+
+export function getThemeCss() {
+  return Object.keys(themes)
+    .map(id => {
+      const { colors, prism, isDark } = themes[id]
+      const variables = Object.keys(colors)
+        .map(name => `--${name}: ${colors[name]};`)
+        .concat(
+          Object.keys(prismThemes[prism]).map(
+            name => `--prism-${name}: ${prismThemes[prism][name]};`
+          )
+        )
+      const smoothing = isDark ? "-webkit-font-smoothing: antialiased; " : ""
+      return `body.${id} { ${smoothing}${variables.join(" ")} }`
+    })
+    .join("\n")
+}
@@ -0,0 +1,166 @@
+import React from 'react';
+import { Link, graphql } from 'gatsby';
+import groupBy from 'lodash/groupBy';
+
+import Layout from '../components/Layout';
+import SEO from '../components/Seo';
+import PostListItem from '../components/PostListItem';
+import { formatMonth, getArchivePath } from '../utils/helpers';
+import { getPosts } from '../utils/posts';
+import { rhythm } from '../utils/typography';
+
+function formatCount(count) {
+  return `${count} post${count === 1 ? '' : 's'}`;
+}
+
+// Lodash groups into an object, so restore the newest-first order.
+function groupPosts(posts, getKey) {
+  const groups = groupBy(posts, getKey);
+  return Object.keys(groups)
+    .sort()
+    .reverse()
+    .map(key => [key, groups[key]]);
+}
+
+function Month({ year, month, posts }) {
+  return (
+    <section>
+      <h3
+        style={{
+          fontFamily: 'Montserrat, sans-serif',
+          marginTop: rhythm(1),
+        }}
+      >
+        <Link to={getArchivePath(year, month)}>
+          {formatMonth(year, month)}
+        </Link>{' '}
+        <small>({formatCount(posts.length)})</small>
+      </h3>
+      {posts.map(({ node }) => (
+        <PostListItem key={node.fields.slug} node={node} />
+      ))}
+    </section>
+  );
+}
+
+function Months({ year, posts }) {
+  return groupPosts(posts, ({ node }) =>
+    node.frontmatter.isoDate.slice(5, 7)
+  ).map(([month, postsOfMonth]) => (
+    <Month key={month} year={year} month={month} posts={postsOfMonth} />
+  ));
+}
+
+function Year({ year, posts }) {
+  return (
+    <section>
+      <h2>
+        <Link to={getArchivePath(year)}>{year}</Link>{' '}
+        <small>({formatCount(posts.length)})</small>
+      </h2>
+      <Months year={year} posts={posts} />
+    </section>
+  );
+}
+
+function Archive({ pageContext, data, location }) {
+  const { year, month, slugs } = pageContext;
+  const posts = getPosts(data, slugs);
+  const totalCount = posts.length;
+  const siteTitle = data.site.siteMetadata.title;
+  const title = month
+    ? formatMonth(year, month)
+    : year
+    ? `${year}`
+    : 'Archive';
+  const breadcrumbs = [{ name: 'Archive', path: getArchivePath() }]
+    .concat(year ? { name: year, path: getArchivePath(year) } : [])
+    .concat(
+      month
+        ? {
+            name: formatMonth(year, month),
+            path: getArchivePath(year, month),
+          }
+        : []
+    );
+
+  return (
+    <Layout location={location} title={siteTitle}>
+      <SEO
+        title={month || year ? `Archive: ${title}` : title}
+        description={
+          year
+            ? `${formatCount(totalCount)} published in ${title}.`
+            : `All ${formatCount(totalCount)} by year and month.`
+        }
+        slug={getArchivePath(...[year, month].filter(Boolean))}
+        breadcrumbs={breadcrumbs}
+      />
+      <h1>{title}</h1>
+      <p>
+        {formatCount(totalCount)}
+        {year && (
+          <>
+            {' • '}
+            <Link to={getArchivePath()} rel="index">
+              All posts by date
+            </Link>
+          </>
+        )}
+        {month && (
+          <>
+            {' • '}
+            <Link to={getArchivePath(year)} rel="up">
+              All posts from {year}
+            </Link>
+          </>
+        )}
+      </p>
+      <main>
+        {month ? (
+          posts.map(({ node }) => (
+            <PostListItem key={node.fields.slug} node={node} />
+          ))
+        ) : year ? (
+          <Months year={year} posts={posts} />
+        ) : (
+          groupPosts(posts, ({ node }) =>
+            node.frontmatter.isoDate.slice(0, 4)
+          ).map(([yearOfPosts, postsOfYear]) => (
+            <Year
+              key={yearOfPosts}
+              year={yearOfPosts}
+              posts={postsOfYear}
+            />
+          ))
+        )}
+      </main>
+    </Layout>
+  );
+}
+
+export default Archive;
+
+export const pageQuery = graphql`
+  query($lang: String!, $dateFormat: String!, $slugs: [String]) {
+    site {
+      siteMetadata {
+        title
+      }
+    }
+    allMarkdownRemark(filter: { fields: { slug: { in: $slugs } } }) {
+      edges {
+        node {
+          ...MarkdownRemarkListItem
+        }
+      }
+    }
+    allMdx(filter: { fields: { slug: { in: $slugs } } }) {
+      edges {
+        node {
+          ...MdxListItem
+        }
+      }
+    }
+  }
+`;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { graphql } from 'gatsby';
+
+import Bio from '../components/Bio';
+import Footer from '../components/Footer';
+import Layout from '../components/Layout';
+import SEO from '../components/Seo';
+import PostListItem from '../components/PostListItem';
+import { getPosts } from '../utils/posts';
+
+function Author({ pageContext, data, location }) {
+  const { lang, id, slugs } = pageContext;
+  const posts = getPosts(data, slugs);
+  const totalCount = posts.length;
+  const { name, bio } = data.authorYaml;
+  const siteTitle = data.site.siteMetadata.title;
+
+  return (
+    <Layout location={location} title={siteTitle}>
+      <SEO
+        title={`Posts by ${name}`}
+        description={bio}
+        slug={`/authors/${id}/`}
+        authorId={id}
+        breadcrumbs={[{ name, path: `/authors/${id}/` }]}
+      />
+      <h1>{name}</h1>
+      <aside>
+        <Bio authorId={id} />
+      </aside>
+      <h2>
+        {totalCount} post{totalCount === 1 ? '' : 's'} by {name}
+      </h2>
+      <main>
+        {posts.map(({ node }) => (
+          <PostListItem key={node.fields.slug} node={node} lang={lang} />
+        ))}
+      </main>
+      <Footer authorId={id} />
+    </Layout>
+  );
+}
+
+export default Author;
+
+export const pageQuery = graphql`
+  query(
+    $lang: String!
+    $dateFormat: String!
+    $id: String!
+    $slugs: [String]
+  ) {
+    site {
+      siteMetadata {
+        title
+      }
+    }
+    authorYaml(id: { eq: $id }) {
+      name
+      bio
+    }
+    allMarkdownRemark(filter: { fields: { slug: { in: $slugs } } }) {
+      edges {
+        node {
+          ...MarkdownRemarkListItem
+        }
+      }
+    }
+    allMdx(filter: { fields: { slug: { in: $slugs } } }) {
+      edges {
+        node {
+          ...MdxListItem
+        }
+      }
+    }
+  }
+`;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { graphql } from 'gatsby';
+
+import Bio from '../components/Bio';
+import Footer from '../components/Footer';
+import Layout from '../components/Layout';
+import Pagination from '../components/Pagination';
+import SEO from '../components/Seo';
+import PostListItem from '../components/PostListItem';
+import ReadingHistory from '../components/ReadingHistory';
+import { getPagePath } from '../utils/helpers';
+import { getPosts } from '../utils/posts';
+
+class BlogIndex extends React.Component {
+  render() {
+    const { data, pageContext } = this.props;
+    const { lang, slugs, basePath, currentPage, numPages } = pageContext;
+    const siteTitle = data.site.siteMetadata.title;
+    const posts = getPosts(data, slugs);
+
+    return (
+      <Layout
+        location={this.props.location}
+        title={siteTitle}
+        lang={lang}
+      >
+        <SEO
+          lang={lang}
+          title={
+            currentPage === 1
+              ? 'All posts'
+              : `All posts – Page ${currentPage}`
+          }
+          slug={getPagePath(basePath, currentPage)}
+          prev={
+            currentPage > 1
+              ? getPagePath(basePath, currentPage - 1)
+              : undefined
+          }
+          next={
+            currentPage < numPages
+              ? getPagePath(basePath, currentPage + 1)
+              : undefined
+          }
+        />
+        <aside>
+          <Bio lang={lang} />
+        </aside>
+        <main>
+          {posts.map(({ node }) => (
+            <PostListItem
+              key={node.fields.slug}
+              node={node}
+              lang={lang}
+            />
+          ))}
+        </main>
+        <ReadingHistory />
+        <Pagination
+          basePath={basePath}
+          currentPage={currentPage}
+          numPages={numPages}
+        />
+        <Footer />
+      </Layout>
+    );
+  }
+}
+
+export default BlogIndex;
+
+export const pageQuery = graphql`
+  query($lang: String!, $dateFormat: String!, $slugs: [String]) {
+    site {
+      siteMetadata {
+        title
+      }
+    }
+    allMarkdownRemark(filter: { fields: { slug: { in: $slugs } } }) {
+      edges {
+        node {
+          ...MarkdownRemarkListItem
+        }
+      }
+    }
+    allMdx(filter: { fields: { slug: { in: $slugs } } }) {
+      edges {
+        node {
+          ...MdxListItem
+        }
+      }
+    }
+  }
+`;
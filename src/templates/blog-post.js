@@ -1,34 +1,171 @@
 import React from 'react';
 import { Link, graphql } from 'gatsby';
-import kebabCase from 'lodash/kebabCase';
+import sortBy from 'lodash/sortBy';
+import { MDXProvider } from '@mdx-js/react';
+import { MDXRenderer } from 'gatsby-plugin-mdx';
 
 import Bio from '../components/Bio';
+import LanguageSwitcher from '../components/LanguageSwitcher';
 import Layout from '../components/Layout';
+import Lightbox, { getImage } from '../components/Lightbox';
+import mdxComponents from '../components/mdxComponents';
+import PostListItem from '../components/PostListItem';
+import ReadingProgress from '../components/ReadingProgress';
 import SEO from '../components/Seo';
+import SeriesBox from '../components/SeriesBox';
+import TableOfContents from '../components/TableOfContents';
 import SignUp from '../components/SignUp';
+import { addCopyButtons } from '../utils/codeBlocks';
+import { addEmbedButtons } from '../utils/embeds';
 import { rhythm, scale } from '../utils/typography';
 import { primaryColor } from '../style';
-import { formatReadingTime } from '../utils/helpers';
+import {
+  formatReadingTime,
+  getArchivePath,
+  getLanguagePrefix,
+  getTag,
+} from '../utils/helpers';
+import { getPosts } from '../utils/posts';
 
 const systemFont = `system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI",
     "Roboto", "Oxygen", "Ubuntu", "Cantarell", "Fira Sans",
     "Droid Sans", "Helvetica Neue", sans-serif`;
 class BlogPostTemplate extends React.Component {
+  state = {
+    lightbox: null,
+  };
+
+  article = React.createRef();
+  body = React.createRef();
+
+  componentDidMount() {
+    this.addButtons();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.pageContext.slug !== this.props.pageContext.slug) {
+      this.removeButtons();
+      this.addButtons();
+      this.closeLightbox();
+    }
+  }
+
+  componentWillUnmount() {
+    this.removeButtons();
+  }
+
+  // `.mdx` posts render these buttons with `mdxComponents`.
+  addButtons() {
+    if (!this.props.data.markdownRemark) {
+      this.removeButtons = () => {};
+      return;
+    }
+    const removeCopyButtons = addCopyButtons(this.body.current);
+    const removeEmbedButtons = addEmbedButtons(this.body.current);
+    this.removeButtons = () => {
+      removeCopyButtons();
+      removeEmbedButtons();
+    };
+  }
+
+  // Opens the images of gatsby-remark-images in the lightbox instead of
+  // following their link to the original file.
+  handleBodyClick = event => {
+    const link = event.target.closest('a.gatsby-resp-image-link');
+    if (
+      !link ||
+      event.button !== 0 ||
+      event.metaKey ||
+      event.ctrlKey ||
+      event.shiftKey
+    ) {
+      return;
+    }
+    event.preventDefault();
+    const links = Array.from(
+      this.body.current.querySelectorAll('a.gatsby-resp-image-link')
+    );
+    this.setState({
+      lightbox: {
+        images: links.map(getImage),
+        index: links.indexOf(link),
+      },
+    });
+  };
+
+  showImage = index => {
+    this.setState(({ lightbox }) => ({
+      lightbox: { ...lightbox, index },
+    }));
+  };
+
+  closeLightbox = () => {
+    this.setState({ lightbox: null });
+  };
+
   render() {
-    const post = this.props.data.markdownRemark;
+    // `.md` posts are `markdownRemark` and `.mdx` posts `mdx` nodes.
+    const post = this.props.data.markdownRemark || this.props.data.mdx;
     const siteTitle = this.props.data.site.siteMetadata.title;
-    const { previous, next } = this.props.pageContext;
-    const tags = post.frontmatter.tags || [];
+    const {
+      lang,
+      translations,
+      previous,
+      next,
+      relatedSlugs,
+      series,
+      socialImage,
+    } = this.props.pageContext;
+    const tags = sortBy(post.fields.tags.map(getTag), 'name');
+    const related = getPosts(this.props.data, relatedSlugs);
+    const prefix = getLanguagePrefix(lang);
 
     return (
-      <Layout location={this.props.location} title={siteTitle}>
+      <Layout
+        location={this.props.location}
+        title={siteTitle}
+        lang={lang}
+      >
         <SEO
+          lang={lang}
+          translations={translations}
           title={post.frontmatter.title}
           description={post.frontmatter.description || post.excerpt}
           slug={post.fields.slug}
+          authorId={post.author.id}
+          image={
+            post.frontmatter.cover
+              ? post.frontmatter.cover.childImageSharp.resize.src
+              : socialImage
+          }
+          article={{
+            datePublished: post.frontmatter.datePublished,
+            dateModified: post.frontmatter.dateModified,
+            tags: tags.map(tag => tag.name),
+            wordCount: post.wordCount.words,
+          }}
+          breadcrumbs={[
+            { name: post.frontmatter.title, path: post.fields.slug },
+          ]}
         />
+        <ReadingProgress slug={post.fields.slug} target={this.article} />
         <main>
-          <article>
+          <article ref={this.article}>
+            {post.draft && (
+              <p
+                role="note"
+                style={{
+                  padding: `${rhythm(1 / 4)} ${rhythm(1 / 2)}`,
+                  border: `2px dashed var(--textLink)`,
+                  borderRadius: `4px`,
+                  fontFamily: `Montserrat, sans-serif`,
+                }}
+              >
+                <strong>Draft</strong> – this post is a draft or
+                scheduled for a later date. Production builds leave it
+                out.
+              </p>
+            )}
             <header>
               <h1>{post.frontmatter.title}</h1>
               <p
@@ -39,8 +176,24 @@ class BlogPostTemplate extends React.Component {
                   marginTop: rhythm(-4 / 5),
                 }}
               >
-                {post.frontmatter.date}
-                {` • ${formatReadingTime(post.timeToRead)}`}
+                {prefix ? (
+                  post.frontmatter.date
+                ) : (
+                  <Link
+                    to={getArchivePath(
+                      ...post.frontmatter.datePublished
+                        .split('-')
+                        .slice(0, 2)
+                    )}
+                    title="More posts from this month"
+                    style={{ boxShadow: 'none', color: 'inherit' }}
+                  >
+                    {post.frontmatter.date}
+                  </Link>
+                )}
+                {post.frontmatter.updated &&
+                  ` • Updated on ${post.frontmatter.updated}`}
+                {` • ${formatReadingTime(post.timeToRead, lang)}`}
               </p>
               {
                 <ul
@@ -53,19 +206,60 @@ class BlogPostTemplate extends React.Component {
                     marginLeft: 0,
                   }}
                 >
-                  {tags.sort().map((tag, index) => (
-                    <li key={tag} style={{ marginBottom: 0 }}>
-                      <Link to={`/tags/${kebabCase(tag)}/`}>{tag}</Link>
+                  {tags.map((tag, index) => (
+                    <li key={tag.id} style={{ marginBottom: 0 }}>
+                      <Link to={`${prefix}/tags/${tag.id}/`}>
+                        {tag.name}
+                      </Link>
                       {index === tags.length - 1 ? '' : ',\xa0'}
                     </li>
                   ))}
                 </ul>
               }
             </header>
-            <div dangerouslySetInnerHTML={{ __html: post.html }} />
+            <LanguageSwitcher translations={translations} lang={lang} />
+            {series && (
+              <SeriesBox series={series} slug={post.fields.slug} />
+            )}
+            {post.frontmatter.toc !== false && (
+              <TableOfContents headings={post.headings} />
+            )}
+            {post.body ? (
+              <div ref={this.body} onClick={this.handleBodyClick}>
+                <MDXProvider components={mdxComponents}>
+                  <MDXRenderer>{post.body}</MDXRenderer>
+                </MDXProvider>
+              </div>
+            ) : (
+              <div
+                ref={this.body}
+                onClick={this.handleBodyClick}
+                dangerouslySetInnerHTML={{ __html: post.html }}
+              />
+            )}
+            {this.state.lightbox && (
+              <Lightbox
+                images={this.state.lightbox.images}
+                index={this.state.lightbox.index}
+                onChange={this.showImage}
+                onClose={this.closeLightbox}
+              />
+            )}
           </article>
         </main>
         <footer>
+          {related.length > 0 && (
+            <aside style={{ marginTop: rhythm(2) }}>
+              <h2>Related posts</h2>
+              {related.map(({ node }) => (
+                <PostListItem
+                  key={node.fields.slug}
+                  node={node}
+                  lang={lang}
+                />
+              ))}
+            </aside>
+          )}
           <div
             style={{
               margin: '90px 0 40px 0',
@@ -80,19 +274,53 @@ class BlogPostTemplate extends React.Component {
               marginTop: rhythm(0.25),
             }}
           >
-            <Link
-              style={{
-                boxShadow: 'none',
-                textDecoration: 'none',
-                color: primaryColor,
-              }}
-              to={'/'}
-            >
-              Jan Hesters
-            </Link>
+            {/* Author pages only exist for the default language. */}
+            {prefix ? (
+              post.author.name
+            ) : (
+              <Link
+                style={{
+                  boxShadow: 'none',
+                  textDecoration: 'none',
+                  color: primaryColor,
+                }}
+                to={`/authors/${post.author.id}/`}
+                rel="author"
+              >
+                {post.author.name}
+              </Link>
+            )}
           </h3>
-          <Bio />
+          <Bio authorId={post.author.id} lang={lang} />
           <nav>
+            {series && (series.previous || series.next) && (
+              <ul
+                aria-label={`Series: ${series.name}`}
+                style={{
+                  display: `flex`,
+                  flexWrap: `wrap`,
+                  justifyContent: `space-between`,
+                  listStyle: `none`,
+                  padding: 0,
+                }}
+              >
+                <li>
+                  {series.previous && (
+                    <Link to={series.previous.fields.slug}>
+                      ← Previous part:{' '}
+                      {series.previous.frontmatter.title}
+                    </Link>
+                  )}
+                </li>
+                <li>
+                  {series.next && (
+                    <Link to={series.next.fields.slug}>
+                      Next part: {series.next.frontmatter.title} →
+                    </Link>
+                  )}
+                </li>
+              </ul>
+            )}
             <ul
               style={{
                 display: `flex`,
@@ -127,7 +355,12 @@ class BlogPostTemplate extends React.Component {
 export default BlogPostTemplate;
 
 export const pageQuery = graphql`
-  query BlogPostBySlug($slug: String!) {
+  query BlogPostBySlug(
+    $slug: String!
+    $lang: String!
+    $dateFormat: String!
+    $relatedSlugs: [String]
+  ) {
     site {
       siteMetadata {
         title
@@ -135,19 +368,107 @@ export const pageQuery = graphql`
       }
     }
     markdownRemark(fields: { slug: { eq: $slug } }) {
+      ...MarkdownRemarkPost
+    }
+    mdx(fields: { slug: { eq: $slug } }) {
+      ...MdxPost
+    }
+    # Related posts, by the slugs in the page context.
+    allMarkdownRemark(
+      filter: { fields: { slug: { in: $relatedSlugs } } }
+    ) {
+      edges {
+        node {
+          ...MarkdownRemarkListItem
+        }
+      }
+    }
+    allMdx(filter: { fields: { slug: { in: $relatedSlugs } } }) {
+      edges {
+        node {
+          ...MdxListItem
+        }
+      }
+    }
+  }
+`;
+
+export const postFragments = graphql`
+  fragment MarkdownRemarkPost on MarkdownRemark {
+    html
+    id
+    excerpt(pruneLength: 160)
+    timeToRead
+    draft
+    wordCount {
+      words
+    }
+    author {
       id
-      excerpt(pruneLength: 160)
-      html
-      timeToRead
-      frontmatter {
-        title
-        date(formatString: "MMMM DD, YYYY")
-        description
-        tags
+      name
+    }
+    headings {
+      value
+      depth
+    }
+    frontmatter {
+      toc
+      cover {
+        childImageSharp {
+          resize(width: 1200, height: 630, cropFocus: CENTER) {
+            src
+          }
+        }
       }
-      fields {
-        slug
+      title
+      date(formatString: $dateFormat, locale: $lang)
+      datePublished: date
+      updated(formatString: $dateFormat, locale: $lang)
+      dateModified: updated
+      description
+    }
+    fields {
+      slug
+      tags
+    }
+  }
+
+  fragment MdxPost on Mdx {
+    body
+    id
+    excerpt(pruneLength: 160)
+    timeToRead
+    draft
+    wordCount {
+      words
+    }
+    author {
+      id
+      name
+    }
+    headings {
+      value
+      depth
+    }
+    frontmatter {
+      toc
+      cover {
+        childImageSharp {
+          resize(width: 1200, height: 630, cropFocus: CENTER) {
+            src
+          }
+        }
       }
+      title
+      date(formatString: $dateFormat, locale: $lang)
+      datePublished: date
+      updated(formatString: $dateFormat, locale: $lang)
+      dateModified: updated
+      description
+    }
+    fields {
+      slug
+      tags
     }
   }
 `;
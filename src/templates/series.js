@@ -0,0 +1,92 @@
+import React from 'react';
+import { Link, graphql } from 'gatsby';
+import kebabCase from 'lodash/kebabCase';
+
+import Layout from '../components/Layout';
+import Bio from '../components/Bio';
+import SEO from '../components/Seo';
+import PostListItem from '../components/PostListItem';
+import { getLanguagePrefix } from '../utils/helpers';
+import { getPosts } from '../utils/posts';
+import { rhythm } from '../utils/typography';
+import { primaryColor } from '../style';
+
+function Series({ pageContext, data, location }) {
+  const { lang, series, slugs } = pageContext;
+  const prefix = getLanguagePrefix(lang);
+  const posts = getPosts(data, slugs);
+  const totalCount = posts.length;
+  const siteTitle = data.site.siteMetadata.title;
+
+  return (
+    <Layout location={location} title={siteTitle} lang={lang}>
+      <SEO
+        lang={lang}
+        title={`The "${series}" series`}
+        description={`All ${totalCount} parts of the "${series}" series.`}
+        slug={`${prefix}/series/${kebabCase(series)}/`}
+      />
+      <h1>{series}</h1>
+      <p>
+        A series in {totalCount} part{totalCount === 1 ? '' : 's'}. Read
+        them in order.
+      </p>
+      <main>
+        {posts.map(({ node }, index) => (
+          <PostListItem
+            key={node.fields.slug}
+            node={node}
+            lang={lang}
+            title={`Part ${index + 1}: ${node.frontmatter.title}`}
+          />
+        ))}
+      </main>
+      <footer>
+        <h3
+          style={{
+            fontFamily: 'Montserrat, sans-serif',
+            marginTop: rhythm(0.25),
+          }}
+        >
+          <Link
+            style={{
+              boxShadow: 'none',
+              textDecoration: 'none',
+              color: primaryColor,
+            }}
+            to={`${prefix}/`}
+          >
+            {siteTitle}
+          </Link>
+        </h3>
+        <Bio lang={lang} />
+      </footer>
+    </Layout>
+  );
+}
+
+export default Series;
+
+export const pageQuery = graphql`
+  query($lang: String!, $dateFormat: String!, $slugs: [String]) {
+    site {
+      siteMetadata {
+        title
+      }
+    }
+    allMarkdownRemark(filter: { fields: { slug: { in: $slugs } } }) {
+      edges {
+        node {
+          ...MarkdownRemarkListItem
+        }
+      }
+    }
+    allMdx(filter: { fields: { slug: { in: $slugs } } }) {
+      edges {
+        node {
+          ...MdxListItem
+        }
+      }
+    }
+  }
+`;
@@ -2,28 +2,87 @@ import React from 'react';
 import { Link, graphql } from 'gatsby';
 import Layout from '../components/Layout';
 import Bio from '../components/Bio';
+import Pagination from '../components/Pagination';
 import SEO from '../components/Seo';
 import PostListItem from '../components/PostListItem';
+import ReadingHistory from '../components/ReadingHistory';
 import { rhythm } from '../utils/typography';
 import { primaryColor } from '../style';
+import {
+  getLanguagePrefix,
+  getPagePath,
+  getTag,
+} from '../utils/helpers';
+import { getPosts } from '../utils/posts';
 
 function Tags({ pageContext, data, location }) {
-  const { tag } = pageContext;
-  const { edges: posts, totalCount } = data.allMarkdownRemark;
+  const {
+    lang,
+    tag,
+    slugs,
+    totalCount,
+    basePath,
+    currentPage,
+    numPages,
+  } = pageContext;
+  const prefix = getLanguagePrefix(lang);
+  // Only the posts in the default language have tag feeds.
+  const hasFeed = prefix === '';
+  const posts = getPosts(data, slugs);
   const siteTitle = data.site.siteMetadata.title;
+  const { name, description, aliases } = getTag(tag);
   const tagHeader = `${totalCount} post${
     totalCount === 1 ? '' : 's'
-    } tagged with "${tag}"`;
+    } tagged with "${name}"`;
 
   return (
-    <Layout location={location} title={siteTitle}>
-      <SEO title={`All posts tagged "${tag}"`} />
+    <Layout location={location} title={siteTitle} lang={lang}>
+      <SEO
+        lang={lang}
+        title={`All posts tagged "${name}"${
+          currentPage === 1 ? '' : ` – Page ${currentPage}`
+        }`}
+        description={
+          description ? `${description} ${tagHeader}.` : `${tagHeader}.`
+        }
+        keywords={[name].concat(aliases)}
+        slug={getPagePath(basePath, currentPage)}
+        feed={
+          hasFeed
+            ? {
+                title: `${siteTitle}: Posts tagged "${name}"`,
+                path: `${basePath}rss.xml`,
+              }
+            : undefined
+        }
+        breadcrumbs={[
+          { name: 'Tags', path: `${prefix}/tags/` },
+          { name, path: basePath },
+        ]}
+        prev={
+          currentPage > 1
+            ? getPagePath(basePath, currentPage - 1)
+            : undefined
+        }
+        next={
+          currentPage < numPages
+            ? getPagePath(basePath, currentPage + 1)
+            : undefined
+        }
+      />
       <h1>{tagHeader}</h1>
+      {description && <p>{description}</p>}
       <main>
         {posts.map(({ node }) => (
-          <PostListItem node={node} />
+          <PostListItem key={node.fields.slug} node={node} lang={lang} />
         ))}
       </main>
+      <ReadingHistory />
+      <Pagination
+        basePath={basePath}
+        currentPage={currentPage}
+        numPages={numPages}
+      />
       <footer>
         <h3
           style={{
@@ -37,12 +96,12 @@ function Tags({ pageContext, data, location }) {
               textDecoration: 'none',
               color: primaryColor,
             }}
-            to={'/'}
+            to={`${prefix}/`}
           >
-            Jan Hesters
+            {siteTitle}
           </Link>
         </h3>
-        <Bio />
+        <Bio lang={lang} />
         <nav>
           <ul
             style={{
@@ -54,10 +113,15 @@ function Tags({ pageContext, data, location }) {
             }}
           >
             <li>
-              <Link to="/tags" rel="index">
+              <Link to={`${prefix}/tags/`} rel="index">
                 All tags
               </Link>
             </li>
+            {hasFeed && (
+              <li>
+                <a href={`${basePath}rss.xml`}>RSS feed for "{name}"</a>
+              </li>
+            )}
           </ul>
         </nav>
       </footer>
@@ -68,31 +132,23 @@ function Tags({ pageContext, data, location }) {
 export default Tags;
 
 export const pageQuery = graphql`
-  query($tag: String) {
+  query($lang: String!, $dateFormat: String!, $slugs: [String]) {
     site {
       siteMetadata {
         title
       }
     }
-    allMarkdownRemark(
-      limit: 2000
-      sort: { fields: [frontmatter___date], order: DESC }
-      filter: { frontmatter: { tags: { in: [$tag] } } }
-    ) {
-      totalCount
+    allMarkdownRemark(filter: { fields: { slug: { in: $slugs } } }) {
+      edges {
+        node {
+          ...MarkdownRemarkListItem
+        }
+      }
+    }
+    allMdx(filter: { fields: { slug: { in: $slugs } } }) {
       edges {
         node {
-          excerpt
-          fields {
-            slug
-          }
-          timeToRead
-          frontmatter {
-            date(formatString: "MMMM DD, YYYY")
-            title
-            description
-            tags
-          }
+          ...MdxListItem
         }
       }
     }
@@ -0,0 +1,50 @@
+import { useStaticQuery, graphql } from 'gatsby';
+
+// Looks up an author of `content/authors/authors.yaml` by id. Without an
+// id it returns the default author. Posts with an unknown one fail the
+// build in gatsby-node.js.
+export function useAuthor(id) {
+  const { site, allAuthorYaml } = useStaticQuery(graphql`
+    query {
+      site {
+        siteMetadata {
+          defaultAuthor
+        }
+      }
+      allAuthorYaml {
+        edges {
+          node {
+            id
+            name
+            bio
+            avatar {
+              publicURL
+              childImageSharp {
+                fixed(width: 50, height: 50) {
+                  ...GatsbyImageSharpFixed
+                }
+              }
+            }
+            social {
+              twitter
+              instagram
+              email
+            }
+          }
+        }
+      }
+    }
+  `);
+  const { defaultAuthor } = site.siteMetadata;
+  const authors = allAuthorYaml.edges.map(({ node }) => node);
+
+  const author = authors.find(node => node.id === (id || defaultAuthor));
+
+  // Only `id` and `name` are required, components skip the rest.
+  return {
+    ...author,
+    social: author.social || {},
+    isDefault: author.id === defaultAuthor,
+    path: `/authors/${author.id}/`,
+  };
+}
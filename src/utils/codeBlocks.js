@@ -0,0 +1,60 @@
+const PROMPT = /^\$ /gm;
+
+// What readers want to paste: shell commands without their `$ ` prompt,
+// and diffs as the new code, without removed lines and +/- markers.
+export function getCopyText(code, language) {
+  if (language === 'diff') {
+    return code
+      .split('\n')
+      .filter(line => !line.startsWith('-'))
+      .map(line => line.replace(/^[+ ]/, ''))
+      .join('\n');
+  }
+  return code.replace(PROMPT, '');
+}
+
+function setLabel(button, label) {
+  button.textContent = label;
+  button.setAttribute('aria-label', `${label} code to clipboard`);
+}
+
+// Adds a copy button to every toolbar of gatsby-remark-code-toolbar in
+// `container`. Returns a function that removes them again.
+export function addCopyButtons(container) {
+  if (!container || !navigator.clipboard) {
+    return () => {};
+  }
+
+  const timeouts = [];
+  const buttons = Array.from(container.querySelectorAll('.code-toolbar'))
+    .filter(toolbar => toolbar.nextElementSibling)
+    .map(toolbar => {
+      const code = toolbar.nextElementSibling.querySelector('code');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'code-toolbar-copy';
+      setLabel(button, 'Copy');
+      button.addEventListener('click', () => {
+        navigator.clipboard
+          .writeText(
+            getCopyText(code.textContent, toolbar.dataset.language)
+          )
+          .then(
+            () => setLabel(button, 'Copied'),
+            () => setLabel(button, 'Failed')
+          )
+          .then(() => {
+            timeouts.push(
+              setTimeout(() => setLabel(button, 'Copy'), 2000)
+            );
+          });
+      });
+      toolbar.appendChild(button);
+      return button;
+    });
+
+  return () => {
+    timeouts.forEach(clearTimeout);
+    buttons.forEach(button => button.remove());
+  };
+}
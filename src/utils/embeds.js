@@ -0,0 +1,113 @@
+let twitter;
+
+// Loads widgets.js once, on the first tweet a reader asks for.
+function loadTwitter() {
+  if (!twitter) {
+    twitter = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = 'https://platform.twitter.com/widgets.js';
+      script.async = true;
+      script.onload = () => resolve(window.twttr);
+      script.onerror = () => {
+        twitter = null;
+        script.remove();
+        reject(new Error('Could not load widgets.js'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return twitter;
+}
+
+export const FRAME_ALLOW =
+  'autoplay; encrypted-media; picture-in-picture';
+
+function loadFrame(embed, frame) {
+  const iframe = document.createElement('iframe');
+  iframe.src = embed.dataset.embedSrc;
+  iframe.title = embed.dataset.embedTitle;
+  iframe.allow = FRAME_ALLOW;
+  iframe.allowFullscreen = true;
+  frame.appendChild(iframe);
+  return Promise.resolve(iframe);
+}
+
+// Renders the tweet with the given `id` into the `frame` element.
+export function loadTweet(id, frame) {
+  return loadTwitter()
+    .then(twttr => twttr.widgets.createTweet(id, frame, { dnt: true }))
+    .then(tweet => {
+      if (!tweet) {
+        throw new Error('Could not load the tweet');
+      }
+      return tweet;
+    });
+}
+
+// Adds a button to every placeholder of gatsby-remark-embeds in
+// `container`, which replaces the preview with the real embed. Nothing
+// is requested from the provider before that. Returns a function that
+// removes the buttons again.
+export function addEmbedButtons(container) {
+  if (!container) {
+    return () => {};
+  }
+
+  const cleanups = Array.from(container.querySelectorAll('.embed')).map(
+    embed => {
+      const caption = embed.querySelector('.embed-caption');
+      const image = embed.querySelector('.embed-image');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'embed-load';
+      button.textContent = embed.dataset.embedLabel;
+      button.title = `Loads content from ${embed.dataset.embedHost}`;
+
+      const onClick = event => {
+        event.preventDefault();
+        if (button.disabled) {
+          return;
+        }
+
+        const preview = embed.querySelector('.embed-preview');
+        const frame = document.createElement('div');
+        const load =
+          embed.dataset.embedProvider === 'twitter'
+            ? () => loadTweet(embed.dataset.embedId, frame)
+            : () => loadFrame(embed, frame);
+
+        frame.className = 'embed-frame';
+        embed.insertBefore(frame, preview);
+        button.disabled = true;
+        load().then(
+          element => {
+            preview.remove();
+            button.remove();
+            element.focus();
+          },
+          () => {
+            frame.remove();
+            button.disabled = false;
+            button.textContent = 'Failed, try again';
+          }
+        );
+      };
+
+      button.addEventListener('click', onClick);
+      // The preview image links to the provider for feed readers.
+      if (image) {
+        image.addEventListener('click', onClick);
+      }
+      caption.appendChild(button);
+
+      return () => {
+        button.remove();
+        if (image) {
+          image.removeEventListener('click', onClick);
+        }
+      };
+    }
+  );
+
+  return () => cleanups.forEach(cleanup => cleanup());
+}
@@ -1,10 +1,50 @@
-export function formatReadingTime(minutes) {
+import { defaultLanguage, languages } from "./languages.json"
+import tags from "./tags.json"
+
+export function formatReadingTime(minutes, lang = defaultLanguage) {
+  const { minRead } = languages[lang]
   let cups = Math.round(minutes / 5)
   if (cups > 5) {
     return `${new Array(Math.round(cups / Math.E))
       .fill("🍝")
-      .join("")} ${minutes} min read`
+      .join("")} ${minutes} ${minRead}`
   } else {
-    return `${new Array(cups || 1).fill("☕️").join("")} ${minutes} min read`
+    return `${new Array(cups || 1).fill("☕️").join("")} ${minutes} ${minRead}`
   }
 }
+
+// Pages in the default language have no prefix, e.g. `/de/my-post/` but
+// `/my-post/`. Mirrors `getLanguagePrefix` in gatsby-node.js.
+export function getLanguagePrefix(lang = defaultLanguage) {
+  return lang === defaultLanguage ? "" : `/${lang}`
+}
+
+// Mirrors the paths that `createPaginatedPages` in gatsby-node.js creates.
+export function getPagePath(basePath, page) {
+  return page === 1 ? basePath : `${basePath}page/${page}/`
+}
+
+// Mirrors the paths that `createArchivePages` in gatsby-node.js creates.
+export function getArchivePath(...periods) {
+  return `${["/archive", ...periods].join("/")}/`
+}
+
+// Archive pages, like author pages and the search, only exist for the
+// default language.
+export function formatMonth(year, month) {
+  return new Date(Date.UTC(year, month - 1)).toLocaleDateString(
+    defaultLanguage,
+    {
+      month: "long",
+      year: "numeric",
+      timeZone: "UTC",
+    }
+  )
+}
+
+// Looks up a tag id of `fields.tags` in `src/utils/tags.json`. Tags that
+// aren't registered only have their id. Mirrors `getTagName` in
+// gatsby-node.js.
+export function getTag(id) {
+  return { id, name: id, description: "", aliases: [], ...tags[id] }
+}
@@ -0,0 +1,11 @@
+// Listings query `.md` (`allMarkdownRemark`) and `.mdx` (`allMdx`) posts
+// by the slugs in their page context. This merges both in that order.
+export function getPosts({ allMarkdownRemark, allMdx }, slugs) {
+  return allMarkdownRemark.edges
+    .concat(allMdx.edges)
+    .sort(
+      (a, b) =>
+        slugs.indexOf(a.node.fields.slug) -
+        slugs.indexOf(b.node.fields.slug)
+    );
+}
@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'readingProgress';
+const CHANGE_EVENT = 'readingprogresschange';
+
+// Share of a post that counts as read, so that readers who skip the
+// footer still finish it.
+export const READ_THRESHOLD = 0.95;
+
+// Below this, readers have only glanced at the beginning.
+export const STARTED_THRESHOLD = 0.05;
+
+// Reads `{ [slug]: { progress, read, updated } }`, where `progress` is
+// the share of the post that was scrolled past. localStorage throws in
+// some private modes and doesn't exist during the build.
+export function getReadingHistory() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function setReadingHistory(history) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (err) {}
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+}
+
+export function saveReadingProgress(slug, progress) {
+  const history = getReadingHistory();
+  const entry = history[slug] || {};
+  setReadingHistory({
+    ...history,
+    [slug]: {
+      progress,
+      read: entry.read || progress >= READ_THRESHOLD,
+      updated: Date.now(),
+    },
+  });
+}
+
+export function clearReadingHistory() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (err) {}
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+}
+
+export function getReadingStatus(entry) {
+  if (!entry) {
+    return 'unread';
+  }
+  if (entry.read) {
+    return 'read';
+  }
+  return entry.progress >= STARTED_THRESHOLD ? 'in-progress' : 'unread';
+}
+
+// The reading history, kept up to date when another component or tab
+// changes it. It's empty until the component mounted, so that the first
+// render matches the HTML of the build.
+export function useReadingHistory() {
+  const [history, setHistory] = useState({});
+
+  useEffect(() => {
+    const update = () => setHistory(getReadingHistory());
+    const handleStorage = event => {
+      if (event.key === STORAGE_KEY || event.key === null) {
+        update();
+      }
+    };
+    update();
+    window.addEventListener(CHANGE_EVENT, update);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener(CHANGE_EVENT, update);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  return history;
+}
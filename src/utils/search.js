@@ -0,0 +1,129 @@
+const SNIPPET_RADIUS = 80;
+
+// How much a single match counts depending on where it was found.
+const weights = {
+  title: 10,
+  tags: 6,
+  headings: 4,
+  description: 3,
+  body: 1,
+};
+
+let indexRequest = null;
+
+export function loadSearchIndex() {
+  if (!indexRequest) {
+    indexRequest = fetch(`${__PATH_PREFIX__}/search-index.json`)
+      .then(response => response.json())
+      .catch(error => {
+        indexRequest = null;
+        throw error;
+      });
+  }
+  return indexRequest;
+}
+
+export function tokenize(query) {
+  return (query || '')
+    .toLowerCase()
+    .split(/[\s.,;:!?()[\]{}<>"'`]+/)
+    .filter(Boolean);
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function countMatches(text, term) {
+  const lowerText = text.toLowerCase();
+  let count = 0;
+  let position = lowerText.indexOf(term);
+
+  while (position !== -1) {
+    count += 1;
+    position = lowerText.indexOf(term, position + term.length);
+  }
+  return count;
+}
+
+function scorePost(post, terms) {
+  const fields = {
+    title: post.title,
+    tags: post.tags.join(' '),
+    headings: post.headings.join(' '),
+    description: post.description,
+    body: post.body,
+  };
+  let score = 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+    for (const field of Object.keys(weights)) {
+      // Cap the count, so that long posts don't win by sheer length.
+      termScore +=
+        weights[field] * Math.min(countMatches(fields[field], term), 5);
+    }
+    if (termScore === 0) {
+      // Every term has to appear somewhere in the post.
+      return 0;
+    }
+    score += termScore;
+  }
+
+  return score;
+}
+
+// Splits `text` into parts, marking the ones that match a search term.
+// Rendering the parts as elements avoids injecting post text as HTML.
+export function highlight(text, terms) {
+  if (terms.length === 0) {
+    return [{ text, match: false }];
+  }
+  const pattern = new RegExp(
+    `(${terms.map(escapeRegExp).join('|')})`,
+    'i'
+  );
+  // With a single capturing group, every odd part is a match.
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+    .filter(part => part.text);
+}
+
+export function createSnippet(post, terms) {
+  const text = post.body;
+  const lowerText = text.toLowerCase();
+  const positions = terms
+    .map(term => lowerText.indexOf(term))
+    .filter(position => position !== -1);
+
+  if (positions.length === 0) {
+    return post.description || text.slice(0, SNIPPET_RADIUS * 2);
+  }
+
+  const position = Math.min(...positions);
+  const start = Math.max(0, position - SNIPPET_RADIUS);
+  const end = Math.min(text.length, position + SNIPPET_RADIUS);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${
+    end < text.length ? '…' : ''
+  }`;
+}
+
+export function search(index, query, limit = 20) {
+  const terms = tokenize(query);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  return index
+    .map(post => ({ post, score: scorePost(post, terms) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ post, score }) => ({
+      ...post,
+      score,
+      snippet: createSnippet(post, terms),
+    }));
+}
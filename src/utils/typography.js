@@ -3,8 +3,12 @@ import Wordpress2016 from "typography-theme-wordpress-2016"
 
 Wordpress2016.overrideThemeStyles = () => {
   return {
+    // The colors follow the theme, see `src/style/themes.js`.
     a: {
-      color: "#7599e5",
+      color: "var(--textLink)",
+    },
+    "h1, h2, h3, h4, h5, h6": {
+      color: "var(--textTitle)",
     },
     "a.gatsby-resp-image-link": {
       boxShadow: "none",
@@ -12,6 +16,9 @@ Wordpress2016.overrideThemeStyles = () => {
     "a.anchor": {
       boxShadow: "none",
     },
+    "a.embed-image": {
+      boxShadow: "none",
+    },
     "p code": {
       fontSize: "1rem",
     },
@@ -21,6 +28,10 @@ Wordpress2016.overrideThemeStyles = () => {
     blockquote: {
       color: "inherit",
       opacity: "0.8",
+      borderLeftColor: "var(--textLink)",
+    },
+    hr: {
+      background: "var(--hr)",
     },
   }
 }